@@ -1,7 +1,11 @@
 import contributorsData from '../../docs/pages/config/contributors.json'
+import roleLabels from '../../docs/pages/config/roles.json'
+import { getContributorProfileRoute } from '../shared/constants'
+import { ReviewBadge } from '../review/ReviewBadge'
 import './AttributionList.css'
 
 interface Contributor {
+  slug: string
   name: string
   avatar?: string
   github?: string
@@ -17,11 +21,8 @@ interface AttributionListProps {
   contributors?: ContributorRole[]
 }
 
-const ROLE_ALIASES: Record<string, string> = {
-  'wrote': 'Authored by',
-  'reviewed': 'Reviewed by',
-  'fact-checked': 'Fact-checked by'
-}
+// Heading of each role; utils/contributors-lint.js rejects roles not listed there
+const ROLE_ALIASES: Record<string, string> = roleLabels
 
 function getContributor(slug: string): Contributor | null {
   const contributor = (contributorsData as unknown as Record<string, Contributor>)[slug]
@@ -40,7 +41,7 @@ function ContributorItem({ contributor }: { contributor: Contributor }) {
       )}
       <div className="contributor-info">
         <div className="contributor-name-line">
-          <span className="contributor-name">{contributor.name}</span>
+          <a href={getContributorProfileRoute(contributor.slug)} className="contributor-name">{contributor.name}</a>
           {contributor.github && (
             <a href={contributor.github} target="_blank" rel="noopener noreferrer" title="GitHub" className="contributor-link">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
@@ -82,6 +83,9 @@ export function AttributionList({ contributors = [] }: AttributionListProps) {
 
   return (
     <div className="attribution-container">
+      <div className="attribution-review">
+        <ReviewBadge />
+      </div>
       {contributors.map((roleGroup, index) => (
         <RoleSection 
           key={index}
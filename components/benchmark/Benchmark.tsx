@@ -1,30 +1,60 @@
-import React, { useState } from "react";
+import { useEffect, useState } from "react";
+import {
+    EMPTY_RESULT,
+    exportResults,
+    getBenchmarkId,
+    getStorageKey,
+    importResults,
+    readStoredResults,
+    writeStoredResults,
+} from "./benchmarkResults";
+import type { BenchmarkResult, BenchmarkResults, ExportFormat } from "./benchmarkResults";
+import { getBenchmarkSet } from "./catalog";
+import type { Severity } from "./catalog";
 import "./Benchmark.css";
 
 // ---- Types ----
 export interface Benchmark {
+    // Stable id the saved progress is keyed by (derived from the title when missing)
+    id?: string;
     title: string;
     description: string;
     rationale?: string;
     verification: string;
     evidence?: string[];
     guide?: string;
+    severity?: Severity;
+    // Tags of docs/pages/config/tags.json the control applies to
+    tags?: string[];
 }
 
 export interface BenchmarkProps {
-    benchmarks: Benchmark[];
+    benchmarks?: Benchmark[];
+    // Id of a set in docs/pages/config/benchmarks, used when `benchmarks` is not given
+    set?: string;
+    // Tells several checklists on one page apart in the saved progress
+    id?: string;
 }
 
+const EXPORT_FORMATS: { format: ExportFormat; label: string; type: string }[] = [
+    { format: "json", label: "JSON", type: "application/json" },
+    { format: "csv", label: "CSV", type: "text/csv" },
+    { format: "md", label: "Markdown", type: "text/markdown" },
+];
+
 // ---- Components ----
-function BenchmarkCard({ benchmark }: { benchmark: Benchmark }) {
-    const [checked, setChecked] = useState(false);
+function BenchmarkCard({
+    benchmark,
+    result,
+    onChange,
+}: {
+    benchmark: Benchmark;
+    result: BenchmarkResult;
+    onChange: (changes: Partial<BenchmarkResult>) => void;
+}) {
+    const { checked } = result;
     const [expanded, setExpanded] = useState(false);
-
-    const hasInfo =
-        !!benchmark.rationale ||
-        !!benchmark.verification ||
-        (benchmark.evidence && benchmark.evidence.length > 0) ||
-        !!benchmark.guide;
+    const hasNotes = !!result.notes.trim() || result.evidence.some((line) => line.trim());
 
     return (
         <div className="border border-solid rounded-lg p-3 benchmark-card benchmark-card-container">
@@ -34,7 +64,7 @@ function BenchmarkCard({ benchmark }: { benchmark: Benchmark }) {
                         type="checkbox"
                         checked={checked}
                         onChange={(e) => {
-                            setChecked(e.target.checked);
+                            onChange({ checked: e.target.checked });
                             if (e.target.checked) {
                                 setExpanded(false);
                             }
@@ -43,62 +73,218 @@ function BenchmarkCard({ benchmark }: { benchmark: Benchmark }) {
                     />
                 </div>
                 <div className="flex-1">
-                    <div className={`font-bold mb-1 benchmark-title ${checked ? 'line-through opacity-60' : ''}`}>{benchmark.title}</div>
+                    <div className={`font-bold mb-1 benchmark-title ${checked ? 'line-through opacity-60' : ''}`}>
+                        {benchmark.title}
+                        {benchmark.severity && (
+                            <span className={`ml-2 benchmark-severity benchmark-severity-${benchmark.severity}`}>{benchmark.severity}</span>
+                        )}
+                    </div>
                     <div className={`text-sm benchmark-description ${checked ? 'line-through opacity-60' : ''}`}>{benchmark.description}</div>
                 </div>
-                {hasInfo && (
-                    <div className="ml-auto pl-3">
-                        <button
-                            type="button"
-                            onClick={() => setExpanded(!expanded)}
-                            className="w-6 h-6 rounded-full border border-solid bg-transparent cursor-pointer flex items-center justify-center text-sm font-medium benchmark-info-btn"
-                        >
-                            {expanded ? '−' : 'i'}
-                        </button>
-                    </div>
-                )}
+                <div className="ml-auto pl-3">
+                    <button
+                        type="button"
+                        onClick={() => setExpanded(!expanded)}
+                        title={hasNotes ? "Details, notes and evidence (has notes)" : "Details, notes and evidence"}
+                        className={`w-6 h-6 rounded-full border border-solid bg-transparent cursor-pointer flex items-center justify-center text-sm font-medium benchmark-info-btn ${hasNotes ? 'has-notes' : ''}`}
+                    >
+                        {expanded ? '−' : 'i'}
+                    </button>
+                </div>
             </div>
-            {hasInfo && (
-                <div className={`benchmark-expanded-content ${expanded ? 'expanded' : ''}`}>
-                    <div className="pt-3 mt-3 border-t border-solid text-sm benchmark-expanded-inner">
-                        {benchmark.rationale && (
-                            <div className="mb-2">
-                                <strong className="block mb-0.5 benchmark-popup-strong">Rationale:</strong> {benchmark.rationale}
-                            </div>
-                        )}
-                        {benchmark.verification && (
-                            <div className="mb-2">
-                                <strong className="block mb-0.5 benchmark-popup-strong">Verification:</strong> {benchmark.verification}
-                            </div>
-                        )}
-                        {benchmark.evidence && benchmark.evidence.length > 0 && (
-                            <div className="mb-2">
-                                <strong className="block mb-0.5 benchmark-popup-strong">Evidence:</strong>
-                                <ul className="list-disc list-outside pl-5 my-1">
-                                    {benchmark.evidence.map((e, i) => (
-                                        <li key={i}>{e}</li>
-                                    ))}
-                                </ul>
-                            </div>
-                        )}
-                        {benchmark.guide && (
-                            <div>
-                                <strong className="block mb-0.5 benchmark-popup-strong">Guide:</strong> {benchmark.guide}
-                            </div>
-                        )}
-                    </div>
+            <div className={`benchmark-expanded-content ${expanded ? 'expanded' : ''}`}>
+                <div className="pt-3 mt-3 border-t border-solid text-sm benchmark-expanded-inner">
+                    {benchmark.rationale && (
+                        <div className="mb-2">
+                            <strong className="block mb-0.5 benchmark-popup-strong">Rationale:</strong> {benchmark.rationale}
+                        </div>
+                    )}
+                    {benchmark.verification && (
+                        <div className="mb-2">
+                            <strong className="block mb-0.5 benchmark-popup-strong">Verification:</strong> {benchmark.verification}
+                        </div>
+                    )}
+                    {benchmark.evidence && benchmark.evidence.length > 0 && (
+                        <div className="mb-2">
+                            <strong className="block mb-0.5 benchmark-popup-strong">Evidence:</strong>
+                            <ul className="list-disc list-outside pl-5 my-1">
+                                {benchmark.evidence.map((e, i) => (
+                                    <li key={i}>{e}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {benchmark.guide && (
+                        <div className="mb-2">
+                            <strong className="block mb-0.5 benchmark-popup-strong">Guide:</strong> {benchmark.guide}
+                        </div>
+                    )}
+                    {benchmark.tags && benchmark.tags.length > 0 && (
+                        <div className="mb-2">
+                            <strong className="block mb-0.5 benchmark-popup-strong">Applies to:</strong> {benchmark.tags.join(", ")}
+                        </div>
+                    )}
+                    <label className="block mb-2">
+                        <strong className="block mb-0.5 benchmark-popup-strong">Your notes:</strong>
+                        <textarea
+                            value={result.notes}
+                            onChange={(e) => onChange({ notes: e.target.value })}
+                            rows={3}
+                            className="benchmark-textarea"
+                        />
+                    </label>
+                    <label className="block">
+                        <strong className="block mb-0.5 benchmark-popup-strong">Your evidence links (one per line):</strong>
+                        <textarea
+                            value={result.evidence.join("\n")}
+                            onChange={(e) => onChange({ evidence: e.target.value.split("\n") })}
+                            rows={2}
+                            className="benchmark-textarea"
+                        />
+                    </label>
                 </div>
-            )}
+            </div>
         </div>
     );
 }
 
-export function BenchmarkList({ benchmarks }: BenchmarkProps) {
+function download(fileName: string, content: string, type: string) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Checklist whose ticks, notes and evidence are saved in the browser per page
+// (and per `id` when a page has several lists), with a progress bar and
+// JSON / CSV / Markdown export and import. The controls are either passed in
+// or loaded from a benchmark set of the control catalog.
+export function BenchmarkList({ benchmarks: items, set, id }: BenchmarkProps) {
+    const [storageKey, setStorageKey] = useState<string | null>(null);
+    const [results, setResults] = useState<BenchmarkResults>({});
+    const [message, setMessage] = useState<string | null>(null);
+
+    const benchmarkSet = !items && set ? getBenchmarkSet(set) : undefined;
+    const benchmarks = items ?? benchmarkSet?.benchmarks ?? [];
+    const ids = benchmarks.map(getBenchmarkId);
+    const done = ids.filter((benchmarkId) => results[benchmarkId]?.checked).length;
+    const percent = ids.length > 0 ? Math.round((done / ids.length) * 100) : 0;
+
+    // Load saved results once the page is known (only in the browser)
+    useEffect(() => {
+        const key = getStorageKey(decodeURIComponent(window.location.pathname), id);
+        setResults(readStoredResults(key));
+        setStorageKey(key);
+    }, [id]);
+
+    useEffect(() => {
+        if (storageKey) writeStoredResults(storageKey, results);
+    }, [storageKey, results]);
+
+    const updateResult = (benchmarkId: string, changes: Partial<BenchmarkResult>) => {
+        setResults((previous) => ({
+            ...previous,
+            [benchmarkId]: {
+                ...(previous[benchmarkId] || EMPTY_RESULT),
+                ...changes,
+                updatedAt: new Date().toISOString(),
+            },
+        }));
+    };
+
+    const handleExport = (format: ExportFormat, type: string) => {
+        const rows = benchmarks.map((benchmark, idx) => ({
+            ...(results[ids[idx]] || EMPTY_RESULT),
+            id: ids[idx],
+            title: benchmark.title,
+        }));
+        const page = window.location.pathname.replace(/^\/|\/$/g, "").replace(/\//g, "-") || "home";
+        const date = new Date().toISOString().slice(0, 10);
+        download(`benchmark-${page}${id ? `-${id}` : ""}-${date}.${format}`, exportResults(format, rows, window.location.href), type);
+    };
+
+    const handleImport = async (file: File) => {
+        try {
+            const { results: imported, unknownIds } = importResults(file.name, await file.text(), ids);
+            const count = Object.keys(imported).length;
+            setResults((previous) => ({ ...previous, ...imported }));
+            const skipped = unknownIds.length > 0 ? ` Skipped ${unknownIds.length} not in this list: ${unknownIds.join(", ")}.` : "";
+            setMessage(`Imported ${count} result${count === 1 ? "" : "s"} from ${file.name}.${skipped}`);
+        } catch (error) {
+            setMessage(`Could not import ${file.name}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    };
+
+    const handleClear = () => {
+        if (window.confirm("Clear all ticks, notes and evidence of this checklist?")) {
+            setResults({});
+            setMessage(null);
+        }
+    };
+
+    if (!items && !benchmarkSet) {
+        return (
+            <div className="benchmark-list">
+                <p className="text-sm benchmark-message">
+                    Unknown benchmark set "{set}". Check docs/pages/config/benchmarks and run "pnpm run generate-benchmarks".
+                </p>
+            </div>
+        );
+    }
+
     return (
-        <div className="grid gap-3 benchmark-list">
-            {benchmarks.map((b, idx) => (
-                <BenchmarkCard key={`${b.title}-${idx}`} benchmark={b} />
-            ))}
+        <div className="benchmark-list">
+            <div className="benchmark-progress">
+                <div className="text-sm benchmark-progress-label">
+                    {done} of {ids.length} done ({percent}%)
+                </div>
+                <div
+                    className="benchmark-progress-track"
+                    role="progressbar"
+                    aria-valuemin={0}
+                    aria-valuemax={ids.length}
+                    aria-valuenow={done}
+                    aria-label="Benchmark progress"
+                >
+                    <div className="benchmark-progress-bar" style={{ width: `${percent}%` }} />
+                </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm benchmark-toolbar">
+                {EXPORT_FORMATS.map(({ format, label, type }) => (
+                    <button key={format} type="button" className="benchmark-toolbar-btn" onClick={() => handleExport(format, type)}>
+                        Export {label}
+                    </button>
+                ))}
+                <label className="benchmark-toolbar-btn">
+                    Import
+                    <input
+                        type="file"
+                        accept=".json,.csv,.md"
+                        hidden
+                        onChange={(e) => {
+                            const file = e.target.files?.[0];
+                            if (file) handleImport(file);
+                            e.target.value = "";
+                        }}
+                    />
+                </label>
+                <button type="button" className="benchmark-toolbar-btn" onClick={handleClear}>
+                    Clear
+                </button>
+            </div>
+            {message && <p className="text-sm benchmark-message" role="status">{message}</p>}
+            <div className="grid gap-3">
+                {benchmarks.map((b, idx) => (
+                    <BenchmarkCard
+                        key={ids[idx] || idx}
+                        benchmark={b}
+                        result={results[ids[idx]] || EMPTY_RESULT}
+                        onChange={(changes) => updateResult(ids[idx], changes)}
+                    />
+                ))}
+            </div>
         </div>
     );
 }
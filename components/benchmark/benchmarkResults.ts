@@ -0,0 +1,298 @@
+// Saved progress of a benchmark checklist, and its JSON / CSV / Markdown exports.
+
+export interface BenchmarkResult {
+    checked: boolean;
+    notes: string;
+    // Links or references showing how the control is met (one per line while editing)
+    evidence: string[];
+    updatedAt: string | null;
+}
+
+export type BenchmarkResults = Record<string, BenchmarkResult>;
+
+// What an export holds for each benchmark
+export interface BenchmarkResultRow extends BenchmarkResult {
+    id: string;
+    title: string;
+}
+
+export type ExportFormat = "json" | "csv" | "md";
+
+export interface ImportOutcome {
+    results: BenchmarkResults;
+    // Ids in the file that are not in this checklist
+    unknownIds: string[];
+}
+
+const STORAGE_PREFIX = "benchmark_results:";
+const EXPORT_FORMAT = "seal-benchmark-results";
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ["id", "title", "status", "notes", "evidence", "updated_at"];
+
+export const EMPTY_RESULT: BenchmarkResult = { checked: false, notes: "", evidence: [], updatedAt: null };
+
+// "Use a hardware wallet" -> "use-a-hardware-wallet"
+function slugify(text: string): string {
+    return text
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Stable id of a benchmark: its `id`, or one derived from its title
+ */
+export function getBenchmarkId(benchmark: { id?: string; title: string }): string {
+    return benchmark.id || slugify(benchmark.title);
+}
+
+/**
+ * localStorage key of the results of a checklist
+ * @param pathname - The page the checklist is on
+ * @param listId - Tells several checklists on one page apart
+ */
+export function getStorageKey(pathname: string, listId?: string): string {
+    return `${STORAGE_PREFIX}${pathname}${listId ? `#${listId}` : ""}`;
+}
+
+function normalizeResult(value: unknown): BenchmarkResult | null {
+    if (!value || typeof value !== "object") return null;
+    const result = value as Partial<Record<keyof BenchmarkResult, unknown>>;
+    const evidence = Array.isArray(result.evidence)
+        ? result.evidence.map(String)
+        : typeof result.evidence === "string" ? result.evidence.split("\n") : [];
+    return {
+        checked: result.checked === true,
+        notes: typeof result.notes === "string" ? result.notes : "",
+        evidence,
+        updatedAt: typeof result.updatedAt === "string" ? result.updatedAt : null,
+    };
+}
+
+export function readStoredResults(key: string): BenchmarkResults {
+    try {
+        const raw = localStorage.getItem(key);
+        const saved = raw ? JSON.parse(raw) : null;
+        const results: BenchmarkResults = {};
+        if (saved && typeof saved.results === "object") {
+            Object.entries(saved.results).forEach(([id, value]) => {
+                const result = normalizeResult(value);
+                if (result) results[id] = result;
+            });
+        }
+        return results;
+    } catch {
+        return {};
+    }
+}
+
+export function writeStoredResults(key: string, results: BenchmarkResults) {
+    try {
+        if (Object.keys(results).length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify({ version: EXPORT_VERSION, results }));
+        }
+    } catch {}
+}
+
+function cleanEvidence(evidence: string[]): string[] {
+    return evidence.map((line) => line.trim()).filter(Boolean);
+}
+
+// ---- Export ----
+
+function toJson(rows: BenchmarkResultRow[], page: string): string {
+    const payload = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        page,
+        exportedAt: new Date().toISOString(),
+        benchmarks: rows.map((row) => ({ ...row, evidence: cleanEvidence(row.evidence) })),
+    };
+    return `${JSON.stringify(payload, null, 2)}\n`;
+}
+
+function escapeCsv(value: string): string {
+    return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(rows: BenchmarkResultRow[]): string {
+    const lines = [CSV_COLUMNS.join(",")];
+    rows.forEach((row) => {
+        lines.push([
+            row.id,
+            row.title,
+            row.checked ? "done" : "open",
+            row.notes,
+            cleanEvidence(row.evidence).join("\n"),
+            row.updatedAt || "",
+        ].map(escapeCsv).join(","));
+    });
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+function toMarkdown(rows: BenchmarkResultRow[], page: string): string {
+    const done = rows.filter((row) => row.checked).length;
+    const lines = [
+        "# Benchmark results",
+        "",
+        `- Page: ${page}`,
+        `- Exported: ${new Date().toISOString()}`,
+        `- Progress: ${done} of ${rows.length} controls done`,
+    ];
+    rows.forEach((row) => {
+        lines.push("", `## [${row.checked ? "x" : " "}] ${row.title}`, "");
+        lines.push(`- ID: \`${row.id}\``);
+        lines.push(`- Status: ${row.checked ? "done" : "open"}`);
+        if (row.updatedAt) lines.push(`- Updated: ${row.updatedAt}`);
+        const evidence = cleanEvidence(row.evidence);
+        if (evidence.length > 0) {
+            lines.push("- Evidence:");
+            evidence.forEach((item) => lines.push(`  - ${item}`));
+        }
+        if (row.notes.trim()) {
+            lines.push("- Notes:", "");
+            row.notes.trim().split("\n").forEach((line) => lines.push(line ? `  > ${line}` : "  >"));
+        }
+    });
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render the results of a checklist for download
+ * @param page - URL of the page the checklist is on, recorded in the export
+ */
+export function exportResults(format: ExportFormat, rows: BenchmarkResultRow[], page: string): string {
+    if (format === "csv") return toCsv(rows);
+    if (format === "md") return toMarkdown(rows, page);
+    return toJson(rows, page);
+}
+
+// ---- Import ----
+
+function fromJson(text: string): Record<string, BenchmarkResult> {
+    const payload = JSON.parse(text);
+    const rows: unknown[] = Array.isArray(payload) ? payload : payload && Array.isArray(payload.benchmarks) ? payload.benchmarks : [];
+    const results: Record<string, BenchmarkResult> = {};
+    rows.forEach((row) => {
+        const id = row && typeof row === "object" ? (row as { id?: unknown }).id : undefined;
+        const result = normalizeResult(row);
+        if (typeof id === "string" && result) results[id] = result;
+    });
+    return results;
+}
+
+// RFC 4180 fields: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text: string): string[][] {
+    const records: string[][] = [];
+    let record: string[] = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter((row) => row.some((value) => value !== ""));
+}
+
+function fromCsv(text: string): Record<string, BenchmarkResult> {
+    const [header = [], ...records] = parseCsv(text.replace(/^\uFEFF/, ""));
+    const column = (name: string) => header.findIndex((value) => value.trim().toLowerCase() === name);
+    const [id, status, notes, evidence, updatedAt] = ["id", "status", "notes", "evidence", "updated_at"].map(column);
+    if (id === -1) throw new Error("the CSV file has no id column");
+
+    const results: Record<string, BenchmarkResult> = {};
+    records.forEach((record) => {
+        if (!record[id]) return;
+        results[record[id]] = {
+            checked: /^(done|x|yes|true|1)$/i.test((record[status] || "").trim()),
+            notes: record[notes] || "",
+            evidence: (record[evidence] || "").split(/\r?\n/).filter(Boolean),
+            updatedAt: record[updatedAt] || null,
+        };
+    });
+    return results;
+}
+
+function fromMarkdown(text: string): Record<string, BenchmarkResult> {
+    const results: Record<string, BenchmarkResult> = {};
+    text.replace(/\r\n/g, "\n").split(/^## /m).slice(1).forEach((section) => {
+        const id = section.match(/^- ID: `([^`]+)`/m);
+        if (!id) return;
+        const lines = section.split("\n");
+        const evidenceStart = lines.findIndex((line) => line === "- Evidence:");
+        const evidence: string[] = [];
+        if (evidenceStart !== -1) {
+            for (let i = evidenceStart + 1; i < lines.length && lines[i].startsWith("  - "); i++) {
+                evidence.push(lines[i].slice(4));
+            }
+        }
+        const notes = lines
+            .filter((line) => /^ {2}>( |$)/.test(line))
+            .map((line) => line.replace(/^ {2}> ?/, ""))
+            .join("\n");
+        const updatedAt = section.match(/^- Updated: (.+)$/m);
+        results[id[1]] = {
+            checked: /^\[[xX]\]/.test(section),
+            notes,
+            evidence,
+            updatedAt: updatedAt ? updatedAt[1].trim() : null,
+        };
+    });
+    return results;
+}
+
+/**
+ * Read results exported as JSON, CSV or Markdown (told apart by file name, then content)
+ * @param knownIds - Ids of the benchmarks in the checklist; other ids are reported, not imported
+ * @throws When the file cannot be read in the detected format
+ */
+export function importResults(fileName: string, text: string, knownIds: string[]): ImportOutcome {
+    const extension = fileName.toLowerCase().split(".").pop();
+    const trimmed = text.trim();
+    const format: ExportFormat = extension === "json" || extension === "csv" || extension === "md"
+        ? extension
+        : trimmed.startsWith("{") || trimmed.startsWith("[") ? "json" : trimmed.startsWith("#") ? "md" : "csv";
+
+    const parsed = format === "json" ? fromJson(text) : format === "csv" ? fromCsv(text) : fromMarkdown(text);
+    const known = new Set(knownIds);
+    const results: BenchmarkResults = {};
+    const unknownIds: string[] = [];
+    Object.entries(parsed).forEach(([id, result]) => {
+        if (known.has(id)) {
+            results[id] = result;
+        } else {
+            unknownIds.push(id);
+        }
+    });
+    return { results, unknownIds };
+}
@@ -0,0 +1,55 @@
+/**
+ * Typed access to the control catalog generated by utils/generate-benchmarks.js
+ */
+
+import catalogData from "../../utils/benchmark-catalog.json";
+import type { Benchmark } from "./Benchmark";
+
+// Schema version the components are written against
+export const BENCHMARK_CATALOG_SCHEMA_VERSION = 1;
+
+// Highest priority first
+export type Severity = "critical" | "high" | "medium" | "low";
+
+export interface CatalogBenchmark extends Benchmark {
+    id: string;
+    severity: Severity;
+    tags: string[];
+}
+
+export interface BenchmarkSet {
+    id: string;
+    title: string;
+    description?: string;
+    // Folder of the framework in docs/pages, and its display name
+    framework: string;
+    frameworkTitle: string;
+    // Route of the page that shows the set
+    page?: string;
+    benchmarks: CatalogBenchmark[];
+}
+
+export interface BenchmarkCatalog {
+    format: string;
+    schemaVersion: number;
+    severities: Severity[];
+    sets: BenchmarkSet[];
+}
+
+export const benchmarkCatalog = catalogData as BenchmarkCatalog;
+
+if (benchmarkCatalog.schemaVersion !== BENCHMARK_CATALOG_SCHEMA_VERSION) {
+    console.warn(
+        `benchmark-catalog.json has schema version ${benchmarkCatalog.schemaVersion}, ` +
+        `expected ${BENCHMARK_CATALOG_SCHEMA_VERSION}. Re-run "pnpm run generate-benchmarks".`
+    );
+}
+
+/**
+ * Get a benchmark set of the catalog
+ * @param id - The set id, i.e. its file name in docs/pages/config/benchmarks
+ * @returns The set, or undefined if the id is unknown
+ */
+export function getBenchmarkSet(id: string): BenchmarkSet | undefined {
+    return benchmarkCatalog.sets.find((set) => set.id === id);
+}
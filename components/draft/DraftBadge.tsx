@@ -0,0 +1,14 @@
+import './DraftBadge.css'
+
+interface DraftBadgeProps {
+  label?: string
+}
+
+// Marks a page that is `dev: true` in the sidebar: listed on preview deployments only
+export function DraftBadge({ label = 'Draft / not yet published' }: DraftBadgeProps) {
+  return (
+    <span className="draft-badge" title="Hidden from the main site until it is published">
+      {label}
+    </span>
+  )
+}
@@ -9,11 +9,29 @@
 
 export { TagProvider, useTagFilter } from './tags/TagContext'
 export { TagFilter } from './tags/TagFilter'
+export { TagResults } from './tags/TagResults'
 export { TagList } from './tags/TagList'
+export { matchesTagFilter } from './tags/tagMatching'
+export type { TagMode } from './tags/tagMatching'
 export { withTagFiltering, TagFilteringLayout } from './tags/withTagFiltering'
 export { AttributionList } from './attribution/AttributionList'
 export { ContributeFooter } from './footer/ContributeFooter'
-export { Contributors } from './contributors/Contributors'
+export { Contributors, ContributorCard } from './contributors/Contributors'
+export { DraftBadge } from './draft/DraftBadge'
+export { ReviewBadge } from './review/ReviewBadge'
+export { ReviewDashboard } from './review/ReviewDashboard'
+export { getReviewStatus, describeReviewStatus } from './review/reviewStatus'
+export type { ReviewState, ReviewStatus } from './review/reviewStatus'
 export { BenchmarkList } from './benchmark/Benchmark'
+export type { Benchmark } from './benchmark/Benchmark'
+export { benchmarkCatalog, getBenchmarkSet } from './benchmark/catalog'
+export type { BenchmarkCatalog, BenchmarkSet, CatalogBenchmark, Severity } from './benchmark/catalog'
+export { FacetedSearch } from './search/FacetedSearch'
+export { parseSearchQuery, formatSearchQuery } from './search/searchQuery'
+export type { SearchQuery } from './search/searchQuery'
+export { hybridSearch, loadSearchVectors, createQueryEmbedder, semanticScores } from './search/hybridSearch'
+export type { SearchVectors, QueryEmbedder } from './search/hybridSearch'
 export { default as MermaidRenderer } from './mermaid/MermaidRenderer';
-export * from './shared/constants'
\ No newline at end of file
+export { MermaidViewer } from './mermaid/MermaidViewer'
+export * from './shared/constants'
+export * from './shared/manifest'
\ No newline at end of file
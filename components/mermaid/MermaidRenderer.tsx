@@ -1,25 +1,37 @@
 "use client";
 
 import { useEffect, useRef } from "react";
-import mermaid from "mermaid";
+import { MermaidViewer } from "./MermaidViewer";
+import "./MermaidRenderer.css";
 
 interface MermaidRendererProps {
   code: string;
+  // Unique per page; also used as the permalink anchor of the diagram
   id: string;
+  // SVGs pre-rendered at build time by utils/remark-mermaid.js
+  svgLight?: string;
+  svgDark?: string;
 }
 
-const MermaidRenderer: React.FC<MermaidRendererProps> = ({ code, id }) => {
+const MermaidRenderer: React.FC<MermaidRendererProps> = ({ code, id, svgLight, svgDark }) => {
   const containerRef = useRef<HTMLDivElement>(null);
+  const isPrerendered = Boolean(svgLight && svgDark);
+
   useEffect(() => {
-    if (!containerRef.current) return;
-  
+    // Client-side rendering is only a fallback for diagrams that could not be
+    // rendered at build time, so mermaid is loaded on demand
+    if (isPrerendered || !containerRef.current) return;
+
     const renderMermaid = async () => {
       try {
-        mermaid.initialize({ startOnLoad: false });
-  
+        const { default: mermaid } = await import("mermaid");
+        const isDark = document.documentElement.classList.contains("dark");
+        mermaid.initialize({ startOnLoad: false, theme: isDark ? "dark" : "default" });
+
         const cleanCode = code.trim();
-        const { svg } = await mermaid.render(id, cleanCode);
-  
+        // The figure owns `id` (for the anchor), so the SVG gets a derived one
+        const { svg } = await mermaid.render(`${id}-svg`, cleanCode);
+
         if (containerRef.current) {
           containerRef.current.innerHTML = svg;
         }
@@ -30,11 +42,27 @@ const MermaidRenderer: React.FC<MermaidRendererProps> = ({ code, id }) => {
         console.error(err);
       }
     };
-  
+
     renderMermaid();
-  }, [code, id]);
+  }, [code, id, isPrerendered]);
 
-  return <div ref={containerRef} className="mermaid" />;
+  return (
+    <figure id={id} className="mermaid-figure">
+      <a href={`#${id}`} className="mermaid-permalink" aria-label="Permalink to this diagram">
+        #
+      </a>
+      <MermaidViewer id={id} code={code}>
+        {isPrerendered ? (
+          <>
+            <div className="mermaid mermaid-light" dangerouslySetInnerHTML={{ __html: svgLight! }} />
+            <div className="mermaid mermaid-dark" dangerouslySetInnerHTML={{ __html: svgDark! }} />
+          </>
+        ) : (
+          <div ref={containerRef} className="mermaid" />
+        )}
+      </MermaidViewer>
+    </figure>
+  );
 };
 
 export default MermaidRenderer;
@@ -0,0 +1,203 @@
+import { useState, useEffect, useRef, type ReactNode, type PointerEvent } from 'react'
+import './MermaidViewer.css'
+
+interface MermaidViewerProps {
+  id: string
+  code: string
+  children: ReactNode
+}
+
+interface ViewState {
+  scale: number
+  x: number
+  y: number
+}
+
+const MIN_SCALE = 0.25
+const MAX_SCALE = 8
+const ZOOM_STEP = 1.25
+const PNG_PIXEL_RATIO = 2
+const INITIAL_VIEW: ViewState = { scale: 1, x: 0, y: 0 }
+
+const clampScale = (scale: number) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale))
+
+// Returns the diagram SVG that is currently shown (pre-rendered diagrams
+// carry a light and a dark variant, only one of which is visible)
+function getVisibleSvg(root: HTMLElement | null): SVGSVGElement | null {
+  if (!root) return null
+  const svgs = Array.from(root.querySelectorAll<SVGSVGElement>('.mermaid > svg'))
+  return svgs.find(svg => svg.getBoundingClientRect().width > 0) || svgs[0] || null
+}
+
+// Serializes an SVG with explicit dimensions so it renders the same outside the page
+function serializeSvg(svg: SVGSVGElement) {
+  const { width, height } = svg.viewBox.baseVal.width
+    ? svg.viewBox.baseVal
+    : svg.getBBox()
+  const clone = svg.cloneNode(true) as SVGSVGElement
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', String(width))
+  clone.setAttribute('height', String(height))
+  clone.style.maxWidth = ''
+  return { markup: new XMLSerializer().serializeToString(clone), width, height }
+}
+
+function downloadBlob(blob: Blob, fileName: string) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Wraps a rendered Mermaid diagram with zoom, pan, fullscreen and export controls
+export function MermaidViewer({ id, code, children }: MermaidViewerProps) {
+  const [view, setView] = useState<ViewState>(INITIAL_VIEW)
+  const [isFullscreen, setIsFullscreen] = useState(false)
+  const [status, setStatus] = useState('')
+  const viewportRef = useRef<HTMLDivElement>(null)
+  const dragRef = useRef<{ pointerId: number; x: number; y: number } | null>(null)
+
+  // Close fullscreen with Escape and keep the page from scrolling behind it
+  useEffect(() => {
+    if (!isFullscreen) return
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') setIsFullscreen(false)
+    }
+    const previousOverflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.body.style.overflow = previousOverflow
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [isFullscreen])
+
+  useEffect(() => {
+    if (!status) return
+    const timer = setTimeout(() => setStatus(''), 2000)
+    return () => clearTimeout(timer)
+  }, [status])
+
+  const zoomBy = (factor: number) => {
+    setView(current => ({ ...current, scale: clampScale(current.scale * factor) }))
+  }
+
+  // Ctrl/Cmd + wheel zooms (any wheel in fullscreen); otherwise the page keeps
+  // scrolling. React registers wheel listeners as passive, so attach it here.
+  useEffect(() => {
+    const viewport = viewportRef.current
+    if (!viewport) return
+    const handleWheel = (event: WheelEvent) => {
+      if (!event.ctrlKey && !event.metaKey && !isFullscreen) return
+      event.preventDefault()
+      zoomBy(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP)
+    }
+    viewport.addEventListener('wheel', handleWheel, { passive: false })
+    return () => viewport.removeEventListener('wheel', handleWheel)
+  }, [isFullscreen])
+
+  const handlePointerDown = (event: PointerEvent<HTMLDivElement>) => {
+    if (event.button !== 0) return
+    dragRef.current = { pointerId: event.pointerId, x: event.clientX, y: event.clientY }
+    event.currentTarget.setPointerCapture(event.pointerId)
+  }
+
+  const handlePointerMove = (event: PointerEvent<HTMLDivElement>) => {
+    const drag = dragRef.current
+    if (!drag || drag.pointerId !== event.pointerId) return
+    const dx = event.clientX - drag.x
+    const dy = event.clientY - drag.y
+    dragRef.current = { ...drag, x: event.clientX, y: event.clientY }
+    setView(current => ({ ...current, x: current.x + dx, y: current.y + dy }))
+  }
+
+  const handlePointerUp = (event: PointerEvent<HTMLDivElement>) => {
+    if (dragRef.current?.pointerId === event.pointerId) {
+      dragRef.current = null
+    }
+  }
+
+  const copySource = async () => {
+    try {
+      await navigator.clipboard.writeText(code.trim())
+      setStatus('Source copied')
+    } catch (error) {
+      setStatus('Copy failed')
+    }
+  }
+
+  const downloadSvg = () => {
+    const svg = getVisibleSvg(viewportRef.current)
+    if (!svg) return
+    const { markup } = serializeSvg(svg)
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${id}.svg`)
+  }
+
+  const downloadPng = () => {
+    const svg = getVisibleSvg(viewportRef.current)
+    if (!svg) return
+    const { markup, width, height } = serializeSvg(svg)
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.ceil(width * PNG_PIXEL_RATIO)
+      canvas.height = Math.ceil(height * PNG_PIXEL_RATIO)
+      const context = canvas.getContext('2d')
+      if (!context) return
+      // Diagrams have a transparent background; use the page's so text stays readable
+      context.fillStyle = getComputedStyle(document.body).backgroundColor || '#ffffff'
+      context.fillRect(0, 0, canvas.width, canvas.height)
+      context.drawImage(image, 0, 0, canvas.width, canvas.height)
+      canvas.toBlob(blob => {
+        if (blob) downloadBlob(blob, `${id}.png`)
+      }, 'image/png')
+    }
+    image.onerror = () => setStatus('PNG export failed')
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
+  }
+
+  const isTransformed = view.scale !== 1 || view.x !== 0 || view.y !== 0
+
+  return (
+    <div className={`mermaid-viewer${isFullscreen ? ' mermaid-viewer-fullscreen' : ''}`}>
+      <div className="mermaid-viewer-toolbar" role="toolbar" aria-label="Diagram controls">
+        <button type="button" onClick={() => zoomBy(1 / ZOOM_STEP)} title="Zoom out" aria-label="Zoom out">−</button>
+        <span className="mermaid-viewer-scale">{Math.round(view.scale * 100)}%</span>
+        <button type="button" onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in" aria-label="Zoom in">+</button>
+        <button type="button" onClick={() => setView(INITIAL_VIEW)} disabled={!isTransformed} title="Reset view">
+          Reset
+        </button>
+        <span className="mermaid-viewer-separator" />
+        <button type="button" onClick={copySource} title="Copy the Mermaid source">Copy source</button>
+        <button type="button" onClick={downloadSvg} title="Download as SVG">SVG</button>
+        <button type="button" onClick={downloadPng} title="Download as PNG">PNG</button>
+        <button
+          type="button"
+          onClick={() => setIsFullscreen(!isFullscreen)}
+          title={isFullscreen ? 'Exit fullscreen (Esc)' : 'Fullscreen'}
+        >
+          {isFullscreen ? 'Close' : 'Fullscreen'}
+        </button>
+        {status && <span className="mermaid-viewer-status" role="status">{status}</span>}
+      </div>
+      <div
+        ref={viewportRef}
+        className="mermaid-viewer-viewport"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={() => setView(INITIAL_VIEW)}
+      >
+        <div
+          className="mermaid-viewer-content"
+          style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+        >
+          {children}
+        </div>
+      </div>
+    </div>
+  )
+}
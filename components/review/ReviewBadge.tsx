@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react'
+import { getPageMeta } from '../shared/manifest'
+import type { PageReview } from '../shared/manifest'
+import { describeReviewStatus, getReviewStatus } from './reviewStatus'
+import type { ReviewStatus } from './reviewStatus'
+import './ReviewBadge.css'
+
+interface ReviewBadgeProps {
+  // Review data to show; defaults to the page being viewed
+  review?: PageReview
+}
+
+function describeSchedule(status: ReviewStatus, review: PageReview): string {
+  if (!status.dueDate) {
+    return 'No reviewer or fact-checker is listed for this page yet'
+  }
+  const source = review.source === 'git' ? ' (from git history)' : ''
+  return `Last reviewed on ${review.lastReviewed}${source}. `
+    + `Reviewed every ${status.intervalMonths} months; next review due by ${status.dueDate}.`
+}
+
+// Freshness of a page: "Last reviewed N months ago", "Review overdue" or "Not reviewed yet".
+// Rendered after mount, since the current page and date are only known in the browser
+export function ReviewBadge({ review }: ReviewBadgeProps) {
+  const [badge, setBadge] = useState<{ status: ReviewStatus; review: PageReview } | null>(null)
+
+  useEffect(() => {
+    const pageReview = review ?? getPageMeta(decodeURIComponent(window.location.pathname))?.review
+    setBadge(pageReview ? { status: getReviewStatus(pageReview), review: pageReview } : null)
+  }, [review])
+
+  if (!badge) return null
+
+  return (
+    <span className={`review-badge review-badge-${badge.status.state}`} title={describeSchedule(badge.status, badge.review)}>
+      {describeReviewStatus(badge.status)}
+    </span>
+  )
+}
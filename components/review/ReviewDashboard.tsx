@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react'
+import { DraftBadge } from '../draft/DraftBadge'
+import { pagesManifest } from '../shared/manifest'
+import type { PageMeta } from '../shared/manifest'
+import { ReviewBadge } from './ReviewBadge'
+import { DUE_SOON_DAYS, getReviewStatus } from './reviewStatus'
+import type { ReviewStatus } from './reviewStatus'
+import './ReviewDashboard.css'
+
+interface ReviewedPage {
+  page: PageMeta
+  status: ReviewStatus
+}
+
+// Pages that credit someone, i.e. actual content rather than generated listings
+function isAttributed(page: PageMeta): boolean {
+  return page.contributors.some(group => group.users.length > 0)
+}
+
+function byDueDate(a: ReviewedPage, b: ReviewedPage): number {
+  return (a.status.dueDate || '').localeCompare(b.status.dueDate || '') || a.page.title.localeCompare(b.page.title)
+}
+
+function bySection(a: ReviewedPage, b: ReviewedPage): number {
+  return a.page.section.localeCompare(b.page.section) || a.page.title.localeCompare(b.page.title)
+}
+
+function PageLink({ page }: { page: PageMeta }) {
+  return (
+    <>
+      <a href={page.route}>{page.title}</a>
+      {page.dev && <DraftBadge label="Draft" />}
+    </>
+  )
+}
+
+function ReviewTable({ title, pages, showDue }: { title: string; pages: ReviewedPage[]; showDue: boolean }) {
+  return (
+    <section className="review-dashboard-section">
+      <h2>{title} ({pages.length})</h2>
+      {pages.length === 0 ? (
+        <p className="review-dashboard-empty">None.</p>
+      ) : (
+        <table className="review-dashboard-table">
+          <thead>
+            <tr>
+              <th>Page</th>
+              <th>Framework</th>
+              <th>Status</th>
+              {showDue && <th>Review due</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {pages.map(({ page, status }) => (
+              <tr key={page.route}>
+                <td><PageLink page={page} /></td>
+                <td>{page.section || 'Other'}</td>
+                <td><ReviewBadge review={page.review} /></td>
+                {showDue && <td>{status.dueDate} (every {status.intervalMonths} months)</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+// Lists the attributed pages whose review is overdue, due soon or that were
+// never reviewed, from the review dates in the pages manifest. Statuses are
+// worked out in the browser so the list stays current between builds.
+export function ReviewDashboard() {
+  const [pages, setPages] = useState<ReviewedPage[] | null>(null)
+
+  useEffect(() => {
+    const now = new Date()
+    setPages(Object.values(pagesManifest.pages)
+      .filter(isAttributed)
+      .map(page => ({ page, status: getReviewStatus(page.review, now) })))
+  }, [])
+
+  if (!pages) {
+    return <p className="review-dashboard-empty">Loading review status…</p>
+  }
+
+  const overdue = pages.filter(({ status }) => status.state === 'overdue').sort(byDueDate)
+  const dueSoon = pages.filter(({ status }) => status.state === 'due-soon').sort(byDueDate)
+  const never = pages.filter(({ status }) => status.state === 'never').sort(bySection)
+  const current = pages.length - overdue.length - dueSoon.length - never.length
+
+  return (
+    <div className="review-dashboard">
+      <p className="review-dashboard-summary">
+        {pages.length} attributed pages: {overdue.length} overdue, {dueSoon.length} due within {DUE_SOON_DAYS} days,
+        {' '}{never.length} never reviewed and {current} up to date.
+      </p>
+      <ReviewTable title="Review overdue" pages={overdue} showDue />
+      <ReviewTable title="Review due soon" pages={dueSoon} showDue />
+      <ReviewTable title="Never reviewed" pages={never} showDue={false} />
+    </div>
+  )
+}
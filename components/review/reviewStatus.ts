@@ -0,0 +1,73 @@
+import type { PageReview } from '../shared/manifest'
+
+export type ReviewState = 'current' | 'due-soon' | 'overdue' | 'never'
+
+export interface ReviewStatus {
+  state: ReviewState
+  // Whole months since the last review, null when never reviewed
+  monthsAgo: number | null
+  // Day the next review is due (YYYY-MM-DD), null when never reviewed
+  dueDate: string | null
+  intervalMonths: number
+}
+
+// Reviews due within this many days are flagged ahead of time
+export const DUE_SOON_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function parseDay(day: string): Date {
+  return new Date(`${day}T00:00:00Z`)
+}
+
+function formatDay(date: Date): string {
+  return date.toISOString().slice(0, 10)
+}
+
+// Whole calendar months from one date to another
+function monthsBetween(from: Date, to: Date): number {
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth()
+  return Math.max(0, to.getUTCDate() < from.getUTCDate() ? months - 1 : months)
+}
+
+function addMonths(date: Date, months: number): Date {
+  const result = new Date(date)
+  result.setUTCMonth(result.getUTCMonth() + months)
+  return result
+}
+
+/**
+ * Work out whether a page's review is still current
+ * @param review - The `review` entry of the page in the manifest
+ * @param now - The date to compare against (today by default)
+ */
+export function getReviewStatus(review: PageReview, now: Date = new Date()): ReviewStatus {
+  const { lastReviewed, intervalMonths } = review
+  if (!lastReviewed) {
+    return { state: 'never', monthsAgo: null, dueDate: null, intervalMonths }
+  }
+
+  const reviewedAt = parseDay(lastReviewed)
+  const due = addMonths(reviewedAt, intervalMonths)
+  const daysLeft = (due.getTime() - now.getTime()) / DAY_MS
+  const state: ReviewState = daysLeft < 0 ? 'overdue' : daysLeft <= DUE_SOON_DAYS ? 'due-soon' : 'current'
+  return { state, monthsAgo: monthsBetween(reviewedAt, now), dueDate: formatDay(due), intervalMonths }
+}
+
+/**
+ * "3 months ago", "1 month ago" or "less than a month ago"
+ */
+export function formatMonthsAgo(months: number): string {
+  if (months === 0) return 'less than a month ago'
+  return `${months} month${months === 1 ? '' : 's'} ago`
+}
+
+/**
+ * Short label of a review status, as shown in the badge
+ */
+export function describeReviewStatus(status: ReviewStatus): string {
+  if (status.state === 'never' || status.monthsAgo === null) return 'Not reviewed yet'
+  const ago = formatMonthsAgo(status.monthsAgo)
+  if (status.state === 'overdue') return `Review overdue · last reviewed ${ago}`
+  if (status.state === 'due-soon') return `Review due soon · last reviewed ${ago}`
+  return `Last reviewed ${ago}`
+}
@@ -0,0 +1,246 @@
+import { useState, useEffect, useMemo } from 'react'
+import MiniSearch, { type Options, type SearchResult } from 'minisearch'
+import { TagList } from '../tags/TagList'
+import { getTagColor, TAG_DEFINITIONS, TAG_GROUPS } from '../shared/constants'
+import { pagesManifest } from '../shared/manifest'
+import { parseSearchQuery, formatSearchQuery, type SearchQuery } from './searchQuery'
+import { HASHING_MODEL } from './textEmbedding'
+import { createQueryEmbedder, hybridSearch, loadSearchVectors, semanticScores, type QueryEmbedder, type SearchVectors } from './hybridSearch'
+import './FacetedSearch.css'
+
+// Written next to the Vocs search index by utils/searchbar-indexing.js
+const FACETS_INDEX_URL = '/.vocs/search-facets.json'
+// Optional (written with `pnpm run search:embeddings` after a build)
+const VECTORS_URL = '/.vocs/search-vectors.json'
+const MAX_RESULTS = 50
+
+interface FacetsPayload {
+  options: Options
+  index: Parameters<typeof MiniSearch.loadJS>[0]
+}
+
+interface FacetedSearchProps {
+  placeholder?: string
+}
+
+const sectionNames = [...new Set(Object.values(pagesManifest.pages).map(page => page.section))]
+  .filter(Boolean)
+  .sort((a, b) => a.localeCompare(b))
+
+function readQueryFromUrl(): string {
+  return new URLSearchParams(window.location.search).get('q') || ''
+}
+
+// Shortens a section's text to a snippet around the first matched term
+function getSnippet(text: string, terms: string[]): string {
+  const lower = text.toLowerCase()
+  const hit = terms.map(term => lower.indexOf(term.toLowerCase())).filter(index => index >= 0).sort((a, b) => a - b)[0]
+  const start = Math.max(0, (hit ?? 0) - 60)
+  const snippet = text.slice(start, start + 200).replace(/\s+/g, ' ').trim()
+  return `${start > 0 ? '…' : ''}${snippet}${start + 200 < text.length ? '…' : ''}`
+}
+
+// Full-text search over every page with `tag:` and `section:` facets
+export function FacetedSearch({ placeholder = 'Search, e.g. tag:Devops section:"Incident Management" keys' }: FacetedSearchProps) {
+  const [query, setQuery] = useState('')
+  const [isUrlRead, setIsUrlRead] = useState(false)
+  const [index, setIndex] = useState<MiniSearch | null>(null)
+  const [loadError, setLoadError] = useState('')
+  const [includeDev, setIncludeDev] = useState(true)
+  const [vectors, setVectors] = useState<SearchVectors | null>(null)
+  const [embedQuery, setEmbedQuery] = useState<QueryEmbedder | null>(null)
+  const [useSemantic, setUseSemantic] = useState(true)
+  const [semantic, setSemantic] = useState<Map<string, number> | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(FACETS_INDEX_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json() as Promise<FacetsPayload>
+      })
+      .then(payload => {
+        if (!cancelled) setIndex(MiniSearch.loadJS(payload.index, payload.options))
+      })
+      .catch(error => {
+        console.error('Failed to load the search index:', error)
+        if (!cancelled) setLoadError('The search index is only available on the built site (run "pnpm run docs:build").')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Semantic ranking is an extra: without the vectors (or the model) search uses keywords only
+  useEffect(() => {
+    let cancelled = false
+    loadSearchVectors(VECTORS_URL)
+      .then(async loaded => {
+        const embedder = await createQueryEmbedder(loaded)
+        if (cancelled || !embedder) return
+        setVectors(loaded)
+        setEmbedQuery(() => embedder)
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Start from the query in the address (after hydration), then keep it
+  // there so searches can be shared
+  useEffect(() => {
+    setQuery(readQueryFromUrl())
+    setIsUrlRead(true)
+  }, [])
+
+  useEffect(() => {
+    if (!isUrlRead) return
+    const url = new URL(window.location.href)
+    if (query) {
+      url.searchParams.set('q', query)
+    } else {
+      url.searchParams.delete('q')
+    }
+    window.history.replaceState(window.history.state, '', url.toString())
+  }, [query, isUrlRead])
+
+  const parsed = parseSearchQuery(query)
+
+  // Embedding may be asynchronous (with a model), so similarities are kept in state
+  useEffect(() => {
+    let cancelled = false
+    if (!vectors || !embedQuery || !useSemantic || !parsed.text) {
+      setSemantic(null)
+      return
+    }
+    embedQuery(parsed.text)
+      .then(queryVector => {
+        if (!cancelled) setSemantic(semanticScores(vectors, queryVector))
+      })
+      .catch(error => console.error('Failed to embed the query:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [vectors, embedQuery, useSemantic, parsed.text])
+
+  const results = useMemo(() => {
+    if (!index) return []
+    const { text, tags, sections } = parseSearchQuery(query)
+    if (!text && tags.length === 0 && sections.length === 0) return []
+
+    const lowerSections = sections.map(section => section.toLowerCase())
+    const filter = (result: SearchResult) =>
+      tags.every(tag => (result.tags as string[]).includes(tag)) &&
+      (lowerSections.length === 0 || lowerSections.includes(String(result.section).toLowerCase())) &&
+      (includeDev || !result.dev)
+
+    // Without free text, list the matching pages themselves
+    const matches = text
+      ? hybridSearch(index, text, { filter, semantic })
+      : index.search(MiniSearch.wildcard, { filter: result => Boolean(result.isPage) && filter(result) })
+    return matches.slice(0, MAX_RESULTS)
+  }, [index, query, includeDev, semantic])
+
+  const updateFacets = (change: Partial<SearchQuery>) => {
+    setQuery(formatSearchQuery({ ...parsed, ...change }))
+  }
+
+  const toggleTag = (tag: string) => {
+    updateFacets({
+      tags: parsed.tags.includes(tag) ? parsed.tags.filter(t => t !== tag) : [...parsed.tags, tag],
+    })
+  }
+
+  const toggleSection = (section: string) => {
+    const isActive = parsed.sections.some(s => s.toLowerCase() === section.toLowerCase())
+    updateFacets({
+      sections: isActive
+        ? parsed.sections.filter(s => s.toLowerCase() !== section.toLowerCase())
+        : [...parsed.sections, section],
+    })
+  }
+
+  return (
+    <div className="faceted-search">
+      <input
+        type="search"
+        className="faceted-search-input"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        placeholder={placeholder}
+        aria-label="Search the frameworks"
+      />
+
+      <div className="faceted-search-facets">
+        {Object.entries(TAG_GROUPS).map(([groupId, group]) => (
+          <div key={groupId} className="faceted-search-facet-group">
+            <span className="faceted-search-facet-title">{group.name}</span>
+            {Object.keys(TAG_DEFINITIONS)
+              .filter(tag => TAG_DEFINITIONS[tag].group === groupId)
+              .map(tag => (
+                <button
+                  key={tag}
+                  type="button"
+                  className={`faceted-search-chip${parsed.tags.includes(tag) ? ' active' : ''}`}
+                  style={parsed.tags.includes(tag) ? { backgroundColor: getTagColor(tag), borderColor: getTagColor(tag) } : undefined}
+                  onClick={() => toggleTag(tag)}
+                  title={TAG_DEFINITIONS[tag].description}
+                >
+                  {tag}
+                </button>
+              ))}
+          </div>
+        ))}
+        <div className="faceted-search-facet-group">
+          <span className="faceted-search-facet-title">Sections</span>
+          {sectionNames.map(section => (
+            <button
+              key={section}
+              type="button"
+              className={`faceted-search-chip${parsed.sections.some(s => s.toLowerCase() === section.toLowerCase()) ? ' active' : ''}`}
+              onClick={() => toggleSection(section)}
+            >
+              {section}
+            </button>
+          ))}
+        </div>
+        <label className="faceted-search-toggle">
+          <input type="checkbox" checked={includeDev} onChange={e => setIncludeDev(e.target.checked)} />
+          Include pages still in progress
+        </label>
+        {vectors && (
+          <label className="faceted-search-toggle" title={`Ranks results by vector similarity as well as keywords (${vectors.model})`}>
+            <input type="checkbox" checked={useSemantic} onChange={e => setUseSemantic(e.target.checked)} />
+            {vectors.model === HASHING_MODEL ? 'Match similar words, not only exact keywords' : 'Match by meaning, not only keywords'}
+          </label>
+        )}
+      </div>
+
+      {loadError && <div className="faceted-search-message">{loadError}</div>}
+      {!loadError && !index && <div className="faceted-search-message">Loading search index…</div>}
+      {index && query && (
+        <div className="faceted-search-summary">
+          {results.length === MAX_RESULTS ? `Top ${MAX_RESULTS} results` : `${results.length} result${results.length === 1 ? '' : 's'}`}
+        </div>
+      )}
+
+      <ul className="faceted-search-results">
+        {results.map(result => {
+          const breadcrumb = [result.section, result.isPage ? '' : result.pageTitle, ...(result.titles as string[])]
+            .filter(Boolean)
+            .join(' › ')
+          return (
+            <li key={result.id} className="faceted-search-result">
+              <a href={result.href} className="faceted-search-result-title">{result.title}</a>
+              {result.dev && <span className="faceted-search-dev-badge">In progress</span>}
+              {breadcrumb && <div className="faceted-search-result-breadcrumb">{breadcrumb}</div>}
+              {result.text && <p className="faceted-search-result-snippet">{getSnippet(result.text, result.terms)}</p>}
+              {result.isPage && <TagList tags={result.tags as string[]} />}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
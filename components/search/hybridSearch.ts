@@ -0,0 +1,117 @@
+import type MiniSearch from 'minisearch'
+import type { SearchOptions, SearchResult } from 'minisearch'
+import { HASHING_MODEL, hashingEmbedding } from './textEmbedding'
+
+// Written next to the faceted index by utils/search-embeddings.js
+export interface SearchVectors {
+  model: string
+  dimensions: number
+  // Document id of each chunk; a document has one or more chunks
+  ids: string[]
+  // One row of `dimensions` signed bytes per chunk (unit vectors scaled by 127)
+  vectors: Int8Array
+  // Present when a model was used: where the browser loads it from (all served by the site)
+  runtime?: { library: string; wasmPaths: { mjs: string; wasm: string }; modelPath: string }
+}
+
+export type QueryEmbedder = (query: string) => Promise<ArrayLike<number>>
+
+// Share of the final score that comes from vector similarity rather than keywords
+const SEMANTIC_WEIGHT = 0.5
+// Semantic matches below this similarity are not added to the keyword results
+const MIN_SIMILARITY = 0.15
+const MAX_SEMANTIC_CANDIDATES = 50
+
+/**
+ * Fetch and decode a `search-vectors.json` file
+ */
+export async function loadSearchVectors(url: string): Promise<SearchVectors> {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  const payload = await response.json()
+  const bytes = Uint8Array.from(atob(payload.vectors), char => char.charCodeAt(0))
+  return { ...payload, vectors: new Int8Array(bytes.buffer) }
+}
+
+/**
+ * Create the function that embeds queries like the documents were embedded
+ * @returns null when the model the vectors were built with cannot be loaded
+ */
+export async function createQueryEmbedder(vectors: SearchVectors): Promise<QueryEmbedder | null> {
+  if (vectors.model === HASHING_MODEL) {
+    return async query => hashingEmbedding(query, vectors.dimensions)
+  }
+  if (!vectors.runtime) return null
+
+  try {
+    const transformers = await import(/* @vite-ignore */ vectors.runtime.library)
+    transformers.env.allowRemoteModels = false
+    transformers.env.localModelPath = vectors.runtime.modelPath
+    // Without this, transformers.js fetches the ONNX Runtime WebAssembly files from a CDN
+    transformers.env.backends.onnx.wasm.wasmPaths = vectors.runtime.wasmPaths
+    const extractor = await transformers.pipeline('feature-extraction', vectors.model, { dtype: 'q8' })
+    return async query => (await extractor(query, { pooling: 'mean', normalize: true })).data
+  } catch (error) {
+    console.error('Failed to load the embedding model; searching by keywords only:', error)
+    return null
+  }
+}
+
+/**
+ * Cosine similarity of the query to each document (its best matching chunk)
+ */
+export function semanticScores(vectors: SearchVectors, queryVector: ArrayLike<number>): Map<string, number> {
+  const { dimensions, ids } = vectors
+  const scores = new Map<string, number>()
+  ids.forEach((id, i) => {
+    const row = vectors.vectors.subarray(i * dimensions, (i + 1) * dimensions)
+    let score = 0
+    for (let d = 0; d < dimensions; d++) score += row[d] * queryVector[d]
+    score /= 127
+    if (score > (scores.get(id) ?? -Infinity)) scores.set(id, score)
+  })
+  return scores
+}
+
+/**
+ * Search by keywords and by vector similarity, and rank by a mix of both scores.
+ * Without `semantic` this is a plain keyword search.
+ */
+export function hybridSearch(
+  index: MiniSearch,
+  query: string,
+  {
+    filter,
+    semantic,
+  }: {
+    filter?: SearchOptions['filter']
+    semantic?: Map<string, number> | null
+  } = {},
+): SearchResult[] {
+  const keywordResults = index.search(query, { filter })
+  if (!semantic || semantic.size === 0) return keywordResults
+
+  const maxKeywordScore = Math.max(0, ...keywordResults.map(result => result.score)) || 1
+  const results = new Map<string, SearchResult>(keywordResults.map(result => [result.id, result]))
+
+  // Documents that only match by similarity
+  const semanticOnly = [...semantic.entries()]
+    .filter(([id, similarity]) => similarity >= MIN_SIMILARITY && !results.has(id))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SEMANTIC_CANDIDATES)
+  semanticOnly.forEach(([id]) => {
+    const stored = index.getStoredFields(id)
+    if (!stored) return
+    const result: SearchResult = { ...stored, id, score: 0, terms: [], queryTerms: [], match: {} }
+    if (!filter || filter(result)) results.set(id, result)
+  })
+
+  const maxSimilarity = Math.max(...[...results.keys()].map(id => semantic.get(id) ?? 0)) || 1
+  return [...results.values()]
+    .map(result => ({
+      ...result,
+      score: (1 - SEMANTIC_WEIGHT) * (result.score / maxKeywordScore)
+        + SEMANTIC_WEIGHT * Math.max(0, semantic.get(result.id) ?? 0) / maxSimilarity,
+    }))
+    .sort((a, b) => b.score - a.score)
+}
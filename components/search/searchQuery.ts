@@ -0,0 +1,54 @@
+import { resolveTag } from '../shared/constants'
+
+export interface SearchQuery {
+  text: string
+  tags: string[]
+  sections: string[]
+}
+
+// key:value, key:"quoted value", "quoted text" or a plain word
+const TOKEN_REGEX = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g
+
+const formatValue = (value: string) => (/\s/.test(value) ? `"${value}"` : value)
+
+/**
+ * Split a search query into free text and facets
+ * @param input - e.g. `tag:Devops section:"Incident Management" key rotation`
+ * @returns The free text plus the canonical tags and the sections to filter on
+ */
+export function parseSearchQuery(input: string): SearchQuery {
+  const words: string[] = []
+  const tags: string[] = []
+  const sections: string[] = []
+
+  for (const match of input.matchAll(TOKEN_REGEX)) {
+    const [raw, key, quotedValue, plainValue, quotedText] = match
+    const value = (quotedValue ?? plainValue ?? '').trim()
+    const facet = key?.toLowerCase()
+
+    if (facet === 'tag' && value) {
+      tags.push(resolveTag(value))
+    } else if (facet === 'section' && value) {
+      sections.push(value)
+    } else {
+      words.push(quotedText ?? raw)
+    }
+  }
+
+  return {
+    text: words.join(' ').trim(),
+    tags: [...new Set(tags)],
+    sections: [...new Set(sections)],
+  }
+}
+
+/**
+ * Build the query string for a set of facets and free text
+ */
+export function formatSearchQuery({ text, tags, sections }: SearchQuery): string {
+  return [
+    ...tags.map(tag => `tag:${formatValue(tag)}`),
+    ...sections.map(section => `section:${formatValue(section)}`),
+    text,
+  ].filter(Boolean).join(' ')
+}
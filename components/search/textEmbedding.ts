@@ -0,0 +1,79 @@
+// Deterministic text embedding used when no embedding model is available.
+// Words, word pairs and character trigrams are hashed into a fixed number of
+// dimensions, so texts that share vocabulary (including word forms such as
+// "signer"/"signers") end up close. It is lexical only: texts about the same
+// topic in other words do not. utils/search-embeddings.js runs this same file
+// at build time, which keeps document and query vectors comparable.
+
+export const HASHING_MODEL = 'hashing-v1'
+export const HASHING_DIMENSIONS = 512
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'my', 'of', 'on', 'or', 'our', 's', 'should', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+])
+
+// Weight of each kind of feature in the vector
+const WORD_WEIGHT = 1
+const PAIR_WEIGHT = 0.5
+const TRIGRAM_WEIGHT = 0.25
+
+// Strips the most common English suffixes so word forms share a feature
+function stem(word: string): string {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3)
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Split text into lowercase, stemmed words without stop words
+ */
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().normalize('NFKD').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem)
+}
+
+// 32-bit FNV-1a hash
+function hash(value: string): number {
+  let h = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+function addFeature(vector: Float32Array, feature: string, weight: number) {
+  const h = hash(feature)
+  // The top bit picks the sign, which keeps unrelated features from adding up
+  vector[h % vector.length] += h & 0x80000000 ? -weight : weight
+}
+
+/**
+ * Embed text into a unit vector of `dimensions` numbers
+ */
+export function hashingEmbedding(text: string, dimensions = HASHING_DIMENSIONS): Float32Array {
+  const vector = new Float32Array(dimensions)
+  const words = tokenize(text)
+
+  words.forEach((word, i) => {
+    addFeature(vector, `w:${word}`, WORD_WEIGHT)
+    if (i > 0) addFeature(vector, `p:${words[i - 1]} ${word}`, PAIR_WEIGHT)
+    const padded = `^${word}$`
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      addFeature(vector, `t:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT)
+    }
+  })
+
+  let norm = 0
+  for (const value of vector) norm += value * value
+  norm = Math.sqrt(norm)
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm
+  }
+  return vector
+}
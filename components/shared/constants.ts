@@ -2,28 +2,46 @@
  * Shared constants for the components
  */
 
+import taxonomy from '../../docs/pages/config/tags.json'
+
+export interface TagDefinition {
+  group: string
+  color: string
+  description: string
+  aliases?: string[]
+}
+
+export interface TagGroup {
+  name: string
+  description: string
+}
+
+// Tag taxonomy (canonical names, aliases, descriptions, colours and groups)
+// maintained in docs/pages/config/tags.json
+export const TAG_DEFINITIONS: Record<string, TagDefinition> = taxonomy.tags
+export const TAG_GROUPS: Record<string, TagGroup> = taxonomy.groups
+
 // Tag color mapping for consistent styling across components
-export const TAG_COLORS: Record<string, string> = {
-  'Security Specialist': '#9F2026',   
-  'Operations & Strategy': '#9A055D',   
-  'Community & Marketing': '#5B2371', 
-  'HR': '#285AD2',                  
-  'Engineer/Developer': '#B2439F',  
-  'Devops': '#5C234A',                 
-  'SRE': '#2E51BA',                    
-  'SEAL/Initiative': '#4339db',
-  'Cloud': '#0873B5',
-  'DAO': '#5112C1',
-  'Legal & Compliance': '#0525B1',
-  'Protocol': '#495EA9',
-  'Whitehat': '#571A70',
-  'Blockchain': '#1fc527',
-  'Compliance': '#059669',
-  'Human Resources': '#7c2d12',
-  'Individual Security': '#b91c1c',
-  'Physical Security': '#92400e',
-  'Travel': '#7c3aed',
-  'Web3': '#1e40af',
+export const TAG_COLORS: Record<string, string> = Object.fromEntries(
+  Object.entries(TAG_DEFINITIONS).map(([tag, definition]) => [tag, definition.color])
+)
+
+// Lower-cased canonical names and aliases mapped to the canonical tag name
+const TAG_LOOKUP: Record<string, string> = {}
+Object.entries(TAG_DEFINITIONS).forEach(([tag, definition]) => {
+  const names = [tag, ...(definition.aliases || [])]
+  names.forEach(name => {
+    TAG_LOOKUP[name.toLowerCase()] = tag
+  })
+})
+
+/**
+ * Resolve a tag or one of its aliases to the canonical tag name
+ * @param tag - The tag name as written in frontmatter
+ * @returns The canonical tag name, or the input if it is not in the taxonomy
+ */
+export function resolveTag(tag: string): string {
+  return TAG_LOOKUP[tag.trim().toLowerCase()] || tag
 }
 
 /**
@@ -32,7 +50,7 @@ export const TAG_COLORS: Record<string, string> = {
  * @returns The hex color code for the tag, or default gray if not found
  */
 export function getTagColor(tag: string): string {
-  return TAG_COLORS[tag] || '#6b7280' // default gray if tag not found
+  return TAG_COLORS[resolveTag(tag)] || '#6b7280' // default gray if tag not found
 }
 
 /**
@@ -42,4 +60,15 @@ export function getTagColor(tag: string): string {
  */
 export function getTagId(tag: string): string {
   return tag.toLowerCase().replace(/[^a-z0-9]/g, '-')
-}
\ No newline at end of file
+}
+// Folder of the contributor profile pages generated by utils/generate-folder-indexes.js
+export const CONTRIBUTOR_PROFILES_ROUTE = '/contributors'
+
+/**
+ * Get the route of a contributor's profile page
+ * @param slug - The contributor's key in docs/pages/config/contributors.json
+ * @returns The profile route, e.g. "/contributors/mattaereal"
+ */
+export function getContributorProfileRoute(slug: string): string {
+  return `${CONTRIBUTOR_PROFILES_ROUTE}/${encodeURIComponent(slug)}`
+}
@@ -0,0 +1,61 @@
+/**
+ * Typed access to the page manifest generated by utils/tags-fetcher.js
+ */
+
+import manifestData from '../../utils/pages-manifest.json'
+
+// Schema version the components are written against
+export const PAGES_MANIFEST_SCHEMA_VERSION = 3
+
+export interface PageContributorGroup {
+  role: string
+  users: string[]
+}
+
+// Computed by utils/review-status.js
+export interface PageReview {
+  // Day of the latest review or fact-check (YYYY-MM-DD), null when never reviewed
+  lastReviewed: string | null
+  // Where the date comes from: the `date` of a review entry, or git history
+  source: 'frontmatter' | 'git' | null
+  // Months between reviews in the page's framework
+  intervalMonths: number
+}
+
+export interface PageMeta {
+  route: string
+  file: string
+  title: string
+  section: string
+  tags: string[]
+  contributors: PageContributorGroup[]
+  dev: boolean
+  // Latest commit date (ISO 8601); only filled in by the publish and preview builds, else null
+  lastModified: string | null
+  review: PageReview
+}
+
+export interface PagesManifest {
+  schemaVersion: number
+  allTags: string[]
+  pages: Record<string, PageMeta>
+}
+
+export const pagesManifest = manifestData as PagesManifest
+
+if (pagesManifest.schemaVersion !== PAGES_MANIFEST_SCHEMA_VERSION) {
+  console.warn(
+    `pages-manifest.json has schema version ${pagesManifest.schemaVersion}, ` +
+    `expected ${PAGES_MANIFEST_SCHEMA_VERSION}. Re-run "pnpm run generate-tags".`
+  )
+}
+
+/**
+ * Get the manifest entry of a page
+ * @param route - The page route, e.g. "/opsec/overview"
+ * @returns The page metadata, or undefined if the route is unknown
+ */
+export function getPageMeta(route: string): PageMeta | undefined {
+  const normalized = route.length > 1 ? route.replace(/\/+$/, '') : route
+  return pagesManifest.pages[normalized]
+}
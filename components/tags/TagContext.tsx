@@ -1,21 +1,149 @@
-import { createContext, useContext, useState, ReactNode, Dispatch, SetStateAction } from 'react'
+import { createContext, useContext, useEffect, useState, ReactNode, Dispatch, SetStateAction } from 'react'
+import { TagMode, TAG_MODES } from './tagMatching'
+import { resolveTag } from '../shared/constants'
 
 interface TagContextType {
   selectedTags: string[]
   setSelectedTags: Dispatch<SetStateAction<string[]>>
+  tagModes: Record<string, TagMode>
+  setTagMode: (tag: string, mode: TagMode) => void
   isFilterActive: boolean
 }
 
+interface StoredFilter {
+  selectedTags: string[]
+  tagModes: Record<string, TagMode>
+}
+
 const TagContext = createContext<TagContextType | undefined>(undefined)
 
+const STORAGE_KEY = 'selected_tags'
+const MODES_STORAGE_KEY = 'selected_tag_modes'
+
+// Query string parameter holding the comma-separated tags of each mode
+const URL_PARAMS: Record<TagMode, string> = {
+  any: 'tags',
+  all: 'tags_all',
+  exclude: 'tags_exclude',
+}
+
+function readFilterFromUrl(): StoredFilter | null {
+  const params = new URLSearchParams(window.location.search)
+  const selectedTags: string[] = []
+  const tagModes: Record<string, TagMode> = {}
+
+  TAG_MODES.forEach(mode => {
+    const value = params.get(URL_PARAMS[mode])
+    if (!value) return
+    value.split(',').map(tag => tag.trim()).filter(Boolean).map(resolveTag).forEach(tag => {
+      if (selectedTags.includes(tag)) return
+      selectedTags.push(tag)
+      if (mode !== 'any') {
+        tagModes[tag] = mode
+      }
+    })
+  })
+
+  return selectedTags.length > 0 ? { selectedTags, tagModes } : null
+}
+
+function readFilterFromStorage(): StoredFilter | null {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    const saved = raw ? JSON.parse(raw) : null
+    if (!Array.isArray(saved) || saved.length === 0) return null
+
+    const rawModes = localStorage.getItem(MODES_STORAGE_KEY)
+    const savedModes = rawModes ? JSON.parse(rawModes) : {}
+    const tagModes: Record<string, TagMode> = {}
+    if (savedModes && typeof savedModes === 'object') {
+      Object.entries(savedModes).forEach(([tag, mode]) => {
+        if (saved.includes(tag) && TAG_MODES.includes(mode as TagMode)) {
+          tagModes[tag] = mode as TagMode
+        }
+      })
+    }
+
+    return { selectedTags: saved, tagModes }
+  } catch {
+    return null
+  }
+}
+
+function writeFilterToUrl({ selectedTags, tagModes }: StoredFilter) {
+  const url = new URL(window.location.href)
+  TAG_MODES.forEach(mode => {
+    const tags = selectedTags.filter(tag => (tagModes[tag] || 'any') === mode)
+    if (tags.length > 0) {
+      url.searchParams.set(URL_PARAMS[mode], tags.join(','))
+    } else {
+      url.searchParams.delete(URL_PARAMS[mode])
+    }
+  })
+
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url.href)
+  }
+}
+
+function writeFilterToStorage({ selectedTags, tagModes }: StoredFilter) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(selectedTags))
+    localStorage.setItem(MODES_STORAGE_KEY, JSON.stringify(tagModes))
+  } catch {}
+}
+
 export function TagProvider({ children }: { children: ReactNode }) {
   const [selectedTags, setSelectedTags] = useState<string[]>([])
+  const [tagModes, setTagModes] = useState<Record<string, TagMode>>({})
+  const [isLoaded, setIsLoaded] = useState(false)
+
+  // Restore the filter once on the client; a shared link wins over the local copy
+  useEffect(() => {
+    const saved = readFilterFromUrl() || readFilterFromStorage()
+    if (saved) {
+      setSelectedTags(saved.selectedTags)
+      setTagModes(saved.tagModes)
+    }
+    setIsLoaded(true)
+  }, [])
+
+  // Keep the URL and localStorage in sync with the active filter
+  useEffect(() => {
+    if (!isLoaded) return
+
+    // Drop modes of tags that were deselected
+    const activeModes: Record<string, TagMode> = {}
+    selectedTags.forEach(tag => {
+      if (tagModes[tag]) {
+        activeModes[tag] = tagModes[tag]
+      }
+    })
+
+    const filter = { selectedTags, tagModes: activeModes }
+    writeFilterToStorage(filter)
+    writeFilterToUrl(filter)
+  }, [isLoaded, selectedTags, tagModes])
+
+  const setTagMode = (tag: string, mode: TagMode) => {
+    setTagModes(prev => {
+      const next = { ...prev }
+      if (mode === 'any') {
+        delete next[tag]
+      } else {
+        next[tag] = mode
+      }
+      return next
+    })
+  }
 
   return (
-    <TagContext.Provider 
-      value={{ 
-        selectedTags, 
+    <TagContext.Provider
+      value={{
+        selectedTags,
         setSelectedTags,
+        tagModes,
+        setTagMode,
         isFilterActive: selectedTags.length > 0
       }}
     >
@@ -30,4 +158,4 @@ export function useTagFilter() {
     throw new Error('useTagFilter must be used within a TagProvider')
   }
   return context
-}
\ No newline at end of file
+}
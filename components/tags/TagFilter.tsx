@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react'
 import { useTagFilter } from './TagContext'
-import { getTagColor, TAG_COLORS } from '../shared/constants'
-import tagsFetched from '../../utils/fetched-tags.json'
+import { matchesTagFilter, getTagMode, TAG_MODES, TAG_MODE_LABELS } from './tagMatching'
+import { TagResults } from './TagResults'
+import { getTagColor, TAG_DEFINITIONS, TAG_GROUPS } from '../shared/constants'
+import { pagesManifest } from '../shared/manifest'
 import './TagFilter.css'
 
 interface TagFilterProps {
@@ -9,43 +11,58 @@ interface TagFilterProps {
   availableTags?: string[]
 }
 
+// Tags of every tagged page and the pages of every tag, built once from the manifest
+const pageTagsMap: Record<string, string[]> = {}
+Object.values(pagesManifest.pages).forEach(page => {
+  if (page.tags.length > 0) {
+    pageTagsMap[page.route] = page.tags
+  }
+})
+
+const tagsIndex: Record<string, string[]> = {}
+Object.entries(pageTagsMap).forEach(([page, pageTags]) => {
+  pageTags.forEach(tag => {
+    if (!tagsIndex[tag]) {
+      tagsIndex[tag] = []
+    }
+    if (!tagsIndex[tag].includes(page)) {
+      tagsIndex[tag].push(page)
+    }
+  })
+})
+
 export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
-  const { selectedTags, setSelectedTags } = useTagFilter()
+  const { selectedTags, setSelectedTags, tagModes, setTagMode } = useTagFilter()
   const [isOpen, setIsOpen] = useState(false)
   const [query, setQuery] = useState('')
 
-  const pageTagsMap = tagsFetched?.pageTagsMap || {}
-  
-  const tagsIndex: Record<string, string[]> = {}
-  Object.entries(pageTagsMap).forEach(([page, pageTags]) => {
-    pageTags.forEach(tag => {
-      if (!tagsIndex[tag]) {
-        tagsIndex[tag] = []
-      }
-      if (!tagsIndex[tag].includes(page)) {
-        tagsIndex[tag].push(page)
-      }
-    })
-  })
-  
-  const dynamicTags = tagsFetched?.allTags || []
-  const constantsTags = Object.keys(TAG_COLORS)
-  const allKnownTags = [...new Set([...dynamicTags, ...constantsTags])].sort()
+  const dynamicTags = pagesManifest.allTags
+  const taxonomyTags = Object.keys(TAG_DEFINITIONS)
+  const allKnownTags = [...new Set([...dynamicTags, ...taxonomyTags])].sort()
   const allAvailableTags = availableTags || allKnownTags
-  const tags = query ? allAvailableTags.filter(t => t.toLowerCase().includes(query.toLowerCase())) : allAvailableTags
+  const normalizedQuery = query.toLowerCase()
+  const tags = query
+    ? allAvailableTags.filter(t =>
+        t.toLowerCase().includes(normalizedQuery) ||
+        (TAG_DEFINITIONS[t]?.description || '').toLowerCase().includes(normalizedQuery)
+      )
+    : allAvailableTags
 
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem('selected_tags')
-      if (raw) {
-        const saved = JSON.parse(raw)
-        if (Array.isArray(saved) && saved.length) {
-          setSelectedTags(saved)
-        }
-      }
-
-    } catch {}
-  }, [setSelectedTags])
+  // Group the visible tags under their taxonomy groups, keeping unknown tags last
+  const tagGroups = [
+    ...Object.entries(TAG_GROUPS).map(([id, group]) => ({
+      id,
+      name: group.name,
+      description: group.description,
+      tags: tags.filter(tag => TAG_DEFINITIONS[tag]?.group === id),
+    })),
+    {
+      id: 'other',
+      name: 'Other',
+      description: '',
+      tags: tags.filter(tag => !TAG_DEFINITIONS[tag] || !TAG_GROUPS[TAG_DEFINITIONS[tag].group]),
+    },
+  ].filter(group => group.tags.length > 0)
 
   useEffect(() => {
     // Notify parent
@@ -53,12 +70,7 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
       onTagSelect(selectedTags)
     }
 
-    // Persist to localStorage
-    try { 
-      localStorage.setItem('selected_tags', JSON.stringify(selectedTags))
-    } catch {}
-
-    // Apply OR logic and highlight existing sidebar links
+    // Apply any/all/exclude logic and highlight existing sidebar links
     // Try various selectors for Vocs sidebar structure
     const sidebarSelectors = [
       'aside a', // Vocs uses aside for sidebar
@@ -106,17 +118,14 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
       return
     }
 
-    // OR logic: union of all pages (any tag matches)
+    // Every page whose tags satisfy the any/all/exclude rules of the selection
     const selectedPages = new Set<string>()
-    selectedTags.forEach(tag => {
-      const pages = tagsIndex[tag] || []
-      pages.forEach(page => selectedPages.add(page))
+    Object.entries(pageTagsMap).forEach(([page, pageTags]) => {
+      if (matchesTagFilter(pageTags, selectedTags, tagModes)) {
+        selectedPages.add(page)
+      }
     })
 
-    console.log('Selected tags:', selectedTags)
-    console.log('Selected pages:', Array.from(selectedPages))
-    console.log('Tags index:', tagsIndex)
-
     // Highlight matching pages in existing sidebar - try multiple approaches
     selectedPages.forEach((page) => {
       // Try exact href match
@@ -143,11 +152,11 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
       }
       
       if (link) {
-        console.log('Highlighting link:', link.getAttribute('href'), link.textContent)
         link.classList.add('selected')
         
-        // Find which selected tags apply to this page
+        // Find which selected (non-excluded) tags apply to this page
         const pageTags = selectedTags.filter(tag => 
+          getTagMode(tag, tagModes) !== 'exclude' &&
           tagsIndex[tag] && tagsIndex[tag].includes(page)
         )
         
@@ -180,8 +189,6 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
             link.appendChild(indicators)
           }
         }
-      } else {
-        console.log('Could not find link for page:', page)
       }
     })
 
@@ -218,9 +225,12 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
         }
       })
     }
-  }, [selectedTags, onTagSelect, tagsIndex])
+  }, [selectedTags, tagModes, onTagSelect])
 
   const toggleTag = (tag: string) => {
+    if (selectedTags.includes(tag)) {
+      setTagMode(tag, 'any')
+    }
     setSelectedTags((prev: string[]) => 
       prev.includes(tag) 
         ? prev.filter((t: string) => t !== tag)
@@ -229,6 +239,7 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
   }
 
   const clearAll = () => {
+    selectedTags.forEach(tag => setTagMode(tag, 'any'))
     setSelectedTags([])
   }
 
@@ -275,22 +286,56 @@ export function TagFilter({ onTagSelect, availableTags }: TagFilterProps) {
           </div>
           
           <div className="tag-filter-list">
-            {tags.map(tag => (
-              <label key={tag} className="tag-filter-item">
-                <input
-                  type="checkbox"
-                  checked={selectedTags.includes(tag)}
-                  onChange={() => toggleTag(tag)}
-                />
-                <span 
-                  className="tag-filter-badge"
-                  style={{ backgroundColor: getTagColor(tag) }}
-                >
-                  {tag}
-                </span>
-              </label>
+            {tagGroups.map(group => (
+              <div key={group.id} className="tag-filter-group">
+                <div className="tag-filter-group-title" title={group.description}>
+                  {group.name}
+                </div>
+                {group.tags.map(tag => (
+                  <div key={tag} className="tag-filter-row">
+                    <label className="tag-filter-item" title={TAG_DEFINITIONS[tag]?.description}>
+                      <input
+                        type="checkbox"
+                        checked={selectedTags.includes(tag)}
+                        onChange={() => toggleTag(tag)}
+                      />
+                      <span className="tag-filter-label">
+                        <span 
+                          className={`tag-filter-badge ${getTagMode(tag, tagModes) === 'exclude' && selectedTags.includes(tag) ? 'excluded' : ''}`}
+                          style={{ backgroundColor: getTagColor(tag) }}
+                        >
+                          {tag}
+                        </span>
+                        {TAG_DEFINITIONS[tag]?.description && (
+                          <span className="tag-filter-description">{TAG_DEFINITIONS[tag].description}</span>
+                        )}
+                      </span>
+                      <span className="tag-filter-count" title={`${(tagsIndex[tag] || []).length} pages`}>
+                        {(tagsIndex[tag] || []).length}
+                      </span>
+                    </label>
+                    {selectedTags.includes(tag) && (
+                      <div className="tag-filter-modes" role="group" aria-label={`Match mode for ${tag}`}>
+                        {TAG_MODES.map(mode => (
+                          <button
+                            key={mode}
+                            type="button"
+                            className={`tag-filter-mode ${getTagMode(tag, tagModes) === mode ? 'active' : ''}`}
+                            onClick={() => setTagMode(tag, mode)}
+                            aria-pressed={getTagMode(tag, tagModes) === mode}
+                          >
+                            {TAG_MODE_LABELS[mode]}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
             ))}
           </div>
+
+          <TagResults onNavigate={() => setIsOpen(false)} />
         </div>
       )}
 
@@ -1,4 +1,4 @@
-import { getTagColor, getTagId } from '../shared/constants'
+import { getTagColor, getTagId, resolveTag } from '../shared/constants'
 import './TagList.css'
 
 interface TagListProps {
@@ -8,9 +8,12 @@ interface TagListProps {
 export function TagList({ tags = [] }: TagListProps) {
   if (!tags || tags.length === 0) return null
 
+  // Show aliases under their canonical name, without duplicates
+  const canonicalTags = [...new Set(tags.map(resolveTag))]
+
   return (
     <div className="tag-container">
-      {tags.map((tag, index) => (
+      {canonicalTags.map((tag, index) => (
         <span
           key={index}
           className="tag-item"
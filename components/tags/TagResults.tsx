@@ -0,0 +1,60 @@
+import { useTagFilter } from './TagContext'
+import { matchesTagFilter } from './tagMatching'
+import { pagesManifest } from '../shared/manifest'
+import './TagResults.css'
+
+interface TagResultsProps {
+  onNavigate?: () => void
+}
+
+// Lists every page from the pages manifest that matches the active filter,
+// grouped by section. Works from the build data alone, so pages that are
+// collapsed or missing from the sidebar are still listed.
+export function TagResults({ onNavigate }: TagResultsProps) {
+  const { selectedTags, tagModes } = useTagFilter()
+
+  if (selectedTags.length === 0) return null
+
+  const sections: Record<string, { route: string; title: string }[]> = {}
+  let total = 0
+  Object.values(pagesManifest.pages).forEach(page => {
+    if (page.tags.length === 0) return
+    if (!matchesTagFilter(page.tags, selectedTags, tagModes)) return
+    const section = page.section || 'Other'
+    if (!sections[section]) {
+      sections[section] = []
+    }
+    sections[section].push({ route: page.route, title: page.title })
+    total++
+  })
+
+  const sectionNames = Object.keys(sections).sort((a, b) => a.localeCompare(b))
+
+  return (
+    <div className="tag-results">
+      <div className="tag-results-header">
+        {total === 1 ? '1 matching page' : `${total} matching pages`}
+      </div>
+      {total === 0 ? (
+        <div className="tag-results-empty">No pages match the selected tags.</div>
+      ) : (
+        <div className="tag-results-list">
+          {sectionNames.map(section => (
+            <div key={section} className="tag-results-section">
+              <div className="tag-results-section-title">{section}</div>
+              <ul>
+                {sections[section]
+                  .sort((a, b) => a.title.localeCompare(b.title))
+                  .map(page => (
+                    <li key={page.route}>
+                      <a href={page.route} onClick={onNavigate}>{page.title}</a>
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
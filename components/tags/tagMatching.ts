@@ -0,0 +1,52 @@
+/**
+ * Tag matching helpers shared by the tag filter components
+ */
+
+// How a selected tag takes part in the filter:
+// - any: the page needs at least one of the "any" tags
+// - all: the page must carry every "all" tag
+// - exclude: the page must not carry any "exclude" tag
+export type TagMode = 'any' | 'all' | 'exclude'
+
+export const TAG_MODES: TagMode[] = ['any', 'all', 'exclude']
+
+export const TAG_MODE_LABELS: Record<TagMode, string> = {
+  any: 'Any',
+  all: 'All',
+  exclude: 'Exclude',
+}
+
+/**
+ * Resolve the mode of a selected tag, defaulting to "any"
+ * @param tag - The tag name
+ * @param tagModes - Mode overrides keyed by tag
+ * @returns The mode the tag is matched with
+ */
+export function getTagMode(tag: string, tagModes: Record<string, TagMode>): TagMode {
+  return tagModes[tag] || 'any'
+}
+
+/**
+ * Check whether a page matches the active tag filter
+ * @param pageTags - The tags of the page
+ * @param selectedTags - The tags selected in the filter
+ * @param tagModes - Mode overrides keyed by tag
+ * @returns True when the page satisfies every any/all/exclude rule
+ */
+export function matchesTagFilter(
+  pageTags: string[],
+  selectedTags: string[],
+  tagModes: Record<string, TagMode>
+): boolean {
+  if (selectedTags.length === 0) return false
+
+  const anyTags = selectedTags.filter(tag => getTagMode(tag, tagModes) === 'any')
+  const allTags = selectedTags.filter(tag => getTagMode(tag, tagModes) === 'all')
+  const excludeTags = selectedTags.filter(tag => getTagMode(tag, tagModes) === 'exclude')
+
+  if (excludeTags.some(tag => pageTags.includes(tag))) return false
+  if (!allTags.every(tag => pageTags.includes(tag))) return false
+  if (anyTags.length > 0 && !anyTags.some(tag => pageTags.includes(tag))) return false
+
+  return true
+}
@@ -0,0 +1,83 @@
+/**
+ * Content-hash cache shared by the pre-build steps.
+ *
+ * Each step keeps one JSON file under node_modules/.cache/frameworks-prebuild
+ * mapping a source file to the hash of its content and whatever the step
+ * derived from it. When the hash still matches, the step reuses the stored
+ * value instead of parsing the file again. Pass `--no-cache` to any step (or
+ * set FRAMEWORKS_NO_CACHE=1) to ignore the cache for a run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = process.env.FRAMEWORKS_CACHE_DIR
+  || path.join(__dirname, '..', 'node_modules', '.cache', 'frameworks-prebuild');
+const CACHE_DISABLED = process.argv.includes('--no-cache') || process.env.FRAMEWORKS_NO_CACHE === '1';
+
+// Returns the sha256 hex digest of a string or buffer.
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Opens (or creates) the cache of a named step.
+function openCache(name) {
+  const filePath = path.join(CACHE_DIR, `${name}.json`);
+  let entries = {};
+  let dirty = false;
+
+  if (!CACHE_DISABLED) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      entries = {};
+    }
+  }
+
+  return {
+    // Returns the stored value when the key was cached with the same hash.
+    get(key, hash) {
+      const entry = entries[key];
+      return entry && entry.hash === hash ? entry.value : undefined;
+    },
+    set(key, hash, value) {
+      entries[key] = { hash, value };
+      dirty = true;
+    },
+    delete(key) {
+      if (key in entries) {
+        delete entries[key];
+        dirty = true;
+      }
+    },
+    // Drops entries for files that no longer exist.
+    prune(liveKeys) {
+      const live = new Set(liveKeys);
+      Object.keys(entries).forEach((key) => {
+        if (!live.has(key)) {
+          delete entries[key];
+          dirty = true;
+        }
+      });
+    },
+    save() {
+      if (!dirty || CACHE_DISABLED) {
+        return;
+      }
+      try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(entries));
+        dirty = false;
+      } catch (error) {
+        console.warn(`Warning: unable to write cache ${filePath}: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  hashContent,
+  openCache,
+};
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Checks contributor attribution, so that a typo no longer makes a credit
+ * silently disappear from a page:
+ *  - every entry of docs/pages/config/contributors.json matches
+ *    contributors.schema.json (required fields, known registry role, URLs)
+ *    and is keyed by its own slug,
+ *  - every slug in a page's `contributors` frontmatter is in the registry,
+ *  - every role there is defined in docs/pages/config/roles.json,
+ *  - every review `date` there is a valid date.
+ * It also lists the pages whose `reviewed` or `fact-checked` lists are empty.
+ * Exits with code 1 when any check fails.
+ *
+ * Usage: node utils/contributors-lint.js [file.mdx ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readFrontmatter } = require('./frontmatter');
+const { walkDir } = require('./mermaid-unwrap');
+const { REVIEW_ROLES, toReviewDate } = require('./review-status');
+const { validateSchema } = require('./json-schema');
+
+const DOCS_DIR = path.join(__dirname, '..', 'docs', 'pages');
+const CONFIG_DIR = path.join(DOCS_DIR, 'config');
+const REGISTRY_PATH = path.join(CONFIG_DIR, 'contributors.json');
+const SCHEMA_PATH = path.join(CONFIG_DIR, 'contributors.schema.json');
+const ROLES_PATH = path.join(CONFIG_DIR, 'roles.json');
+
+// Path relative to the working directory, for messages.
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Registry problems as `{ file, message }`.
+function checkRegistry(registry, schema) {
+  const messages = [];
+  validateSchema(registry, schema, schema, 'contributors', messages);
+  Object.entries(registry).forEach(([key, entry]) => {
+    if (entry && typeof entry === 'object' && entry.slug !== undefined && entry.slug !== key) {
+      messages.push(`contributors.${key}.slug is "${entry.slug}", but the entry is keyed "${key}"`);
+    }
+  });
+  return messages.map((message) => ({ file: REGISTRY_PATH, message }));
+}
+
+// Checks the `contributors` frontmatter of one page. Returns its problems and
+// the review roles that have nobody in them.
+function checkPage(filePath, registry, roles) {
+  const errors = [];
+  const contributors = readFrontmatter(filePath).contributors;
+  if (contributors === undefined) {
+    return { errors, missingReviews: [] };
+  }
+  if (!Array.isArray(contributors)) {
+    errors.push({ file: filePath, message: '`contributors` must be a list' });
+    return { errors, missingReviews: [] };
+  }
+
+  const usersByRole = new Map();
+  const addUsers = (role, users) => {
+    users.forEach((user) => {
+      if (!Object.prototype.hasOwnProperty.call(registry, user)) {
+        errors.push({ file: filePath, message: `unknown contributor "${user}" (${role}); add it to ${displayPath(REGISTRY_PATH)}` });
+      }
+    });
+    usersByRole.set(role, [...(usersByRole.get(role) || []), ...users]);
+  };
+
+  contributors.forEach((entry) => {
+    // A plain slug list credits the authors
+    if (typeof entry === 'string') {
+      addUsers('wrote', [entry]);
+      return;
+    }
+    if (!entry || typeof entry !== 'object' || !entry.role) {
+      errors.push({ file: filePath, message: `contributor entry without a role: ${JSON.stringify(entry)}` });
+      return;
+    }
+    const role = String(entry.role);
+    if (!Object.prototype.hasOwnProperty.call(roles, role)) {
+      errors.push({ file: filePath, message: `unknown role "${role}"; use one of ${Object.keys(roles).join(', ')} (see ${displayPath(ROLES_PATH)})` });
+    }
+    if (entry.date !== undefined && !toReviewDate(entry.date)) {
+      errors.push({ file: filePath, message: `invalid date "${entry.date}" for role "${role}"; use YYYY-MM-DD` });
+    }
+    const users = Array.isArray(entry.users) ? entry.users : [entry.users].filter(Boolean);
+    addUsers(role, users.map(String));
+  });
+
+  const missingReviews = REVIEW_ROLES.filter((role) => (usersByRole.get(role) || []).length === 0);
+  return { errors, missingReviews };
+}
+
+/**
+ * Check the contributor registry and the attribution of pages.
+ * @param {string[]} [files] - MDX files to check (every page by default)
+ * @returns {{ errors: Array<{ file: string, message: string }>, awaitingReview: Array<{ file: string, missing: string[] }> }}
+ */
+function lintContributors(files = walkDir(DOCS_DIR, '.mdx')) {
+  const registry = readJson(REGISTRY_PATH);
+  const roles = readJson(ROLES_PATH);
+  const errors = checkRegistry(registry, readJson(SCHEMA_PATH));
+  const awaitingReview = [];
+
+  files.forEach((filePath) => {
+    const result = checkPage(filePath, registry, roles);
+    errors.push(...result.errors);
+    if (result.missingReviews.length > 0) {
+      awaitingReview.push({ file: filePath, missing: result.missingReviews });
+    }
+  });
+
+  return { errors, awaitingReview };
+}
+
+// Build-time report (prebuild): warns about every problem without failing the build.
+function reportContributors(files) {
+  const { errors, awaitingReview } = lintContributors(files);
+  errors.forEach(({ file, message }) => console.warn(`Warning: ${displayPath(file)}: ${message}`));
+  if (awaitingReview.length > 0) {
+    console.log(`${awaitingReview.length} attributed page(s) lack reviewers or fact-checkers (pnpm run lint:contributors lists them)`);
+  }
+  return { errors, awaitingReview };
+}
+
+function main() {
+  const args = process.argv.slice(2).map((f) => path.resolve(f));
+  const { errors, awaitingReview } = lintContributors(args.length > 0 ? args : undefined);
+
+  if (awaitingReview.length > 0) {
+    console.log(`Pages with empty ${REVIEW_ROLES.join(' or ')} lists:`);
+    awaitingReview.forEach(({ file, missing }) => console.log(`  ${displayPath(file)}: no ${missing.join(', no ')}`));
+  }
+
+  errors.forEach(({ file, message }) => console.error(`${displayPath(file)}: ${message}`));
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} contributor attribution problem(s) found`);
+    process.exit(1);
+  }
+  console.log('Every contributor and role is known, and the registry is valid');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  ROLES_PATH,
+  lintContributors,
+  reportContributors,
+};
@@ -0,0 +1,75 @@
+/**
+ * Shared frontmatter parsing for the build scripts.
+ *
+ * Every script that reads MDX metadata goes through this module so that flow
+ * arrays (`tags: [Cloud, SRE]`), nested objects (the `contributors` role
+ * lists) and YAML comments are understood the same way everywhere.
+ */
+
+const fs = require('fs');
+const matter = require('gray-matter');
+
+// Splits raw MDX into its frontmatter data and body content.
+function parseMdx(raw) {
+  const { data, content } = matter(raw);
+  return { data: data || {}, content };
+}
+
+// Returns only the frontmatter data of raw MDX.
+function parseFrontmatter(raw) {
+  return parseMdx(raw).data;
+}
+
+// Reads a file and returns its frontmatter, warning (not throwing) on invalid YAML.
+function readFrontmatter(filePath) {
+  try {
+    return parseFrontmatter(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`Failed to parse frontmatter from ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+// Parses a YAML document (e.g. a benchmark data file) with the same parser as frontmatter.
+function parseYaml(raw) {
+  return matter.engines.yaml.parse(raw);
+}
+
+// Normalises the `contributors` frontmatter into `{ role, users }` groups.
+// Plain slug lists (`contributors: [alice, bob]`) are treated as authors.
+function normalizeContributors(contributors) {
+  if (!Array.isArray(contributors)) {
+    return [];
+  }
+
+  const groups = [];
+  const plainUsers = [];
+  contributors.forEach((entry) => {
+    if (typeof entry === 'string') {
+      plainUsers.push(entry);
+      return;
+    }
+    if (entry && typeof entry === 'object' && entry.role) {
+      const users = Array.isArray(entry.users) ? entry.users : [entry.users].filter(Boolean);
+      const group = { ...entry, role: String(entry.role), users: users.map(String) };
+      // YAML reads `date: 2025-06-01` as a Date; keep it as written
+      if (entry.date instanceof Date) {
+        group.date = entry.date.toISOString().slice(0, 10);
+      }
+      groups.push(group);
+    }
+  });
+
+  if (plainUsers.length > 0) {
+    groups.unshift({ role: 'wrote', users: plainUsers });
+  }
+  return groups;
+}
+
+module.exports = {
+  parseMdx,
+  parseFrontmatter,
+  readFrontmatter,
+  parseYaml,
+  normalizeContributors,
+};
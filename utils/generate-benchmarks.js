@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Builds the control catalog from the benchmark sets in
+ * docs/pages/config/benchmarks/<id>.yaml (or .json):
+ *  - checks every set against docs/pages/config/benchmarks.schema.json, and that
+ *    set ids match their file names, control ids are unique across all sets,
+ *    frameworks and pages exist and tags are in docs/pages/config/tags.json,
+ *  - writes utils/benchmark-catalog.json, which <BenchmarkList set="<id>" /> reads,
+ *  - writes the same bundle to docs/public/benchmark-catalog.json for download,
+ *  - writes the docs/pages/intro/control-catalog.mdx page listing every control.
+ *
+ * Usage:
+ *   node utils/generate-benchmarks.js           write the catalog files
+ *   node utils/generate-benchmarks.js --check   write nothing; exit with 1 when a set is
+ *                                               invalid or a catalog file is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseYaml } = require('./frontmatter');
+const { validateSchema } = require('./json-schema');
+const { loadTaxonomy, createTagResolver, getSectionTitle } = require('./tags-fetcher');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DOCS_DIR = path.join(ROOT_DIR, 'docs', 'pages');
+const CONFIG_DIR = path.join(DOCS_DIR, 'config');
+const BENCHMARKS_DIR = path.join(CONFIG_DIR, 'benchmarks');
+const SCHEMA_PATH = path.join(CONFIG_DIR, 'benchmarks.schema.json');
+const CATALOG_PATH = path.join(__dirname, 'benchmark-catalog.json');
+const DOWNLOAD_PATH = path.join(ROOT_DIR, 'docs', 'public', 'benchmark-catalog.json');
+const CATALOG_PAGE_PATH = path.join(DOCS_DIR, 'intro', 'control-catalog.mdx');
+// Public URL of the download (files in docs/public are served from the site root)
+const DOWNLOAD_URL = '/benchmark-catalog.json';
+// Bump when the shape of benchmark-catalog.json changes in a breaking way
+const CATALOG_SCHEMA_VERSION = 1;
+const CATALOG_FORMAT = 'seal-control-catalog';
+const GENERATED_MARKER = '{/* AUTOGENERATED: This file is generated by utils/generate-benchmarks.js */}';
+const CATALOG_PAGE_TITLE = 'Control Catalog';
+const CATALOG_PAGE_DESCRIPTION = 'Every benchmark control of the frameworks, by framework, with its severity and tags.';
+// Highest priority first
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Path relative to the working directory, for messages.
+function displayPath(filePath) {
+  return path.relative(process.cwd(), filePath);
+}
+
+// The set files, sorted by name so the catalog order is stable.
+function listSetFiles() {
+  if (!fs.existsSync(BENCHMARKS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(BENCHMARKS_DIR)
+    .filter((name) => /\.(ya?ml|json)$/i.test(name))
+    .sort()
+    .map((name) => path.join(BENCHMARKS_DIR, name));
+}
+
+function readSetFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf-8');
+  return filePath.endsWith('.json') ? JSON.parse(raw) : parseYaml(raw);
+}
+
+// Whether a route like `/wallet-security/overview` has a page in docs/pages.
+function routeExists(route) {
+  const relative = route.replace(/^\/+|\/+$/g, '');
+  return [`${relative}.mdx`, path.join(relative, 'index.mdx')]
+    .some((candidate) => fs.existsSync(path.join(DOCS_DIR, candidate)));
+}
+
+// Checks one parsed set file and returns it in catalog form, with tags
+// resolved to their canonical names. Problems are pushed onto `errors`.
+function checkSet(filePath, data, schema, resolveTag, errors) {
+  const location = displayPath(filePath);
+  const problems = [];
+  validateSchema(data, schema, schema, 'set', problems);
+  if (problems.length > 0) {
+    problems.forEach((message) => errors.push(`${location}: ${message}`));
+    return null;
+  }
+
+  const fileId = path.basename(filePath).replace(/\.(ya?ml|json)$/i, '');
+  if (data.id !== fileId) {
+    errors.push(`${location}: set id is "${data.id}", but the file is named "${fileId}"`);
+  }
+  if (!fs.existsSync(path.join(DOCS_DIR, data.framework))) {
+    errors.push(`${location}: framework "${data.framework}" has no folder in docs/pages`);
+  }
+  if (data.page && !routeExists(data.page)) {
+    errors.push(`${location}: page "${data.page}" does not exist`);
+  }
+
+  const benchmarks = data.benchmarks.map((benchmark) => {
+    const tags = (benchmark.tags || []).map((tag) => {
+      const canonical = resolveTag(tag);
+      if (!canonical) {
+        errors.push(`${location}: ${benchmark.id} has unknown tag "${tag}"`);
+      }
+      return canonical || tag;
+    });
+    // Same key order for every control, optional fields last
+    return {
+      id: benchmark.id,
+      title: benchmark.title,
+      description: benchmark.description,
+      severity: benchmark.severity,
+      tags,
+      verification: benchmark.verification,
+      ...(benchmark.rationale ? { rationale: benchmark.rationale } : {}),
+      ...(benchmark.evidence ? { evidence: benchmark.evidence } : {}),
+      ...(benchmark.guide ? { guide: benchmark.guide } : {}),
+    };
+  });
+
+  return {
+    id: data.id,
+    title: data.title,
+    ...(data.description ? { description: data.description } : {}),
+    framework: data.framework,
+    frameworkTitle: getSectionTitle(DOCS_DIR, data.framework, {}),
+    ...(data.page ? { page: data.page } : {}),
+    benchmarks,
+  };
+}
+
+/**
+ * Loads and checks every benchmark set.
+ * @returns {object} The catalog written to benchmark-catalog.json
+ * @throws When a set is invalid, listing every problem found
+ */
+function buildCatalog() {
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  const resolveTag = createTagResolver(loadTaxonomy());
+  const errors = [];
+  const sets = [];
+
+  listSetFiles().forEach((filePath) => {
+    let data;
+    try {
+      data = readSetFile(filePath);
+    } catch (error) {
+      errors.push(`${displayPath(filePath)}: ${error.message}`);
+      return;
+    }
+    const set = checkSet(filePath, data, schema, resolveTag, errors);
+    if (set) sets.push(set);
+  });
+
+  const owners = new Map();
+  sets.forEach((set) => {
+    set.benchmarks.forEach((benchmark) => {
+      if (owners.has(benchmark.id)) {
+        errors.push(`control id "${benchmark.id}" is used by both "${owners.get(benchmark.id)}" and "${set.id}"`);
+      }
+      owners.set(benchmark.id, set.id);
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid benchmark sets:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    format: CATALOG_FORMAT,
+    schemaVersion: CATALOG_SCHEMA_VERSION,
+    severities: SEVERITIES,
+    sets,
+  };
+}
+
+// Escapes text for a cell of a markdown table in MDX.
+function escapeTableCell(value) {
+  return value
+    .replace(/\s+/g, ' ')
+    .replace(/([\\{}<>[\]*_`|])/g, '\\$1');
+}
+
+function toSeverityLabel(severity) {
+  return severity.charAt(0).toUpperCase() + severity.slice(1);
+}
+
+// Renders docs/pages/intro/control-catalog.mdx.
+function renderCatalogPage(catalog) {
+  const controls = catalog.sets.flatMap((set) => set.benchmarks);
+  const lines = [];
+  lines.push('---');
+  lines.push(`title: "${CATALOG_PAGE_TITLE}"`);
+  lines.push(`description: "${CATALOG_PAGE_DESCRIPTION}"`);
+  lines.push('---');
+  lines.push('');
+  lines.push(GENERATED_MARKER);
+  lines.push('');
+  lines.push(`# ${CATALOG_PAGE_TITLE}`);
+  lines.push('');
+  lines.push('> _Note:_ This page is auto-generated from the benchmark sets in `docs/pages/config/benchmarks`. Edit those');
+  lines.push('> files to change it.');
+  lines.push('');
+  lines.push(`The frameworks define ${controls.length} controls in ${catalog.sets.length} benchmark `
+    + `set${catalog.sets.length === 1 ? '' : 's'}.`);
+  lines.push('Each control has a stable id, so you can track it in your own tools.');
+  lines.push('');
+  lines.push(`<a href="${DOWNLOAD_URL}" download>Download the catalog as JSON</a>`);
+  lines.push('');
+  lines.push('| Severity | Controls |');
+  lines.push('| --- | --- |');
+  SEVERITIES.forEach((severity) => {
+    const count = controls.filter((control) => control.severity === severity).length;
+    lines.push(`| ${toSeverityLabel(severity)} | ${count} |`);
+  });
+
+  const frameworks = [...new Set(catalog.sets.map((set) => set.framework))];
+  frameworks.forEach((framework) => {
+    const sets = catalog.sets.filter((set) => set.framework === framework);
+    lines.push('', `## ${escapeTableCell(sets[0].frameworkTitle)}`);
+    sets.forEach((set) => {
+      const title = escapeTableCell(set.title);
+      lines.push('', `### ${set.page ? `[${title}](${set.page})` : title}`, '');
+      if (set.description) {
+        lines.push(escapeTableCell(set.description), '');
+      }
+      lines.push('| ID | Control | Severity | Tags |');
+      lines.push('| --- | --- | --- | --- |');
+      set.benchmarks.forEach((control) => {
+        const text = `**${escapeTableCell(control.title)}**: ${escapeTableCell(control.description)}`;
+        const tags = control.tags.map(escapeTableCell).join(', ');
+        lines.push(`| \`${control.id}\` | ${text} | ${toSeverityLabel(control.severity)} | ${tags} |`);
+      });
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Writes a generated file, or in check mode reports whether it is out of date.
+function writeOutput(filePath, content, check) {
+  const relativePath = path.relative(ROOT_DIR, filePath);
+  const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  if (existing === content) {
+    return true;
+  }
+  if (check) {
+    console.error(`${relativePath} is out of date`);
+    return false;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  console.log(`${existing === null ? 'Created' : 'Updated'} ${relativePath}`);
+  return true;
+}
+
+/**
+ * Builds the catalog and writes (or, with `check`, verifies) its files.
+ * @returns {boolean} Whether every file is up to date
+ */
+function generateBenchmarks({ check = false } = {}) {
+  const catalog = buildCatalog();
+  const json = `${JSON.stringify(catalog, null, 2)}\n`;
+  const outputs = [
+    [CATALOG_PATH, json],
+    [DOWNLOAD_PATH, json],
+    [CATALOG_PAGE_PATH, renderCatalogPage(catalog)],
+  ];
+  return outputs.map(([filePath, content]) => writeOutput(filePath, content, check)).every(Boolean);
+}
+
+// Entry point when run as a CLI script.
+function main(argv = []) {
+  const { values } = parseArgs({
+    args: argv,
+    options: { check: { type: 'boolean', default: false } },
+  });
+  try {
+    if (!generateBenchmarks({ check: values.check })) {
+      console.error('Run `pnpm run generate-benchmarks` and commit the result.');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  BENCHMARKS_DIR,
+  SCHEMA_PATH,
+  CATALOG_PATH,
+  buildCatalog,
+  generateBenchmarks,
+};
@@ -1,25 +1,61 @@
 #!/usr/bin/env node
 
+/**
+ * Generates an index.mdx for every folder of docs/pages, listing the pages
+ * below it in sidebar order. Only files carrying the AUTOGENERATED marker are
+ * rewritten or deleted; hand-written indexes are left alone.
+ *
+ * Pages marked `dev: true` in the sidebar get a "Draft" badge on preview
+ * branches (production branches leave them out), and all of them are listed,
+ * by framework, in the generated docs/pages/contribute/unpublished.mdx report.
+ * Every contributor in docs/pages/config/contributors.json also gets a generated
+ * profile page, docs/pages/contributors/<slug>.mdx, listing the pages they wrote,
+ * reviewed or fact-checked.
+ *
+ * Usage:
+ *   node utils/generate-folder-indexes.js                    write the indexes
+ *   node utils/generate-folder-indexes.js --dry-run          print a unified diff of every planned
+ *                                                            create/update/delete, write nothing
+ *   node utils/generate-folder-indexes.js --check            exit with 1 when an index is stale
+ *   node utils/generate-folder-indexes.js --force            also overwrite manual indexes, asking
+ *                                                            for each one (needs a terminal)
+ *   node utils/generate-folder-indexes.js --allow <path>     overwrite these manual indexes without
+ *                                                            asking (repeatable; a folder or its
+ *                                                            index.mdx, relative to the repo or docs/pages)
+ *
+ * --dry-run and --check can be combined to print the diff of a stale tree and fail.
+ */
+
 const fs = require('fs');
 const path = require('path');
-const childProcess = require('child_process');
-
-let matter = null;
-try {
-  matter = require('gray-matter');
-} catch (error) {
-  console.warn('gray-matter not available; using basic frontmatter parser.');
-}
-
+const { parseArgs } = require('util');
+const { parseMdx, normalizeContributors } = require('./frontmatter');
+const { hashContent, openCache } = require('./build-cache');
+const { createUnifiedDiff } = require('./unified-diff');
+const {
+  collectSidebarRoutes,
+  getAllowedRoutes,
+  isProductionBranch,
+  isRouteAllowed,
+  loadSidebar,
+} = require('./sidebar');
+
+const ROOT_DIR = path.join(__dirname, '..');
 // Absolute path to the docs pages directory that we crawl.
 const DOCS_ROOT = path.join(__dirname, '..', 'docs', 'pages');
 // Markers so we only overwrite files previously generated by this script.
 const GENERATED_MARKER = '{/* AUTOGENERATED: This file is generated by utils/generate-folder-indexes.js */}';
 const LEGACY_MARKER = '<!-- AUTOGENERATED: This file is generated by utils/generate-folder-indexes.js -->';
-// Allow the caller to force refresh manually-maintained indexes.
-const FORCE = process.argv.includes('--force');
+// Command-line options (see the usage above); set by main().
+const DEFAULT_OPTIONS = { dryRun: false, check: false, force: false, allow: new Set() };
+let runOptions = DEFAULT_OPTIONS;
+// Changes planned in dry-run and check modes, reported once the tree is walked.
+let plannedChanges = [];
 // Message rendered on each generated page to set expectations for readers.
-const NAVIGATION_NOTICE = '> _Note:_ This page is auto-generated. Please use the sidebar to explore the docs instead of navigating directory paths directly.';
+const NAVIGATION_NOTICE = [
+  '> _Note:_ This page is auto-generated. Please use the sidebar to explore the docs instead of',
+  '> navigating directory paths directly.',
+].join('\n');
 
 // Normalises file/folder names like `risk-management` into `Risk Management`.
 function toTitleCase(input) {
@@ -32,49 +68,144 @@ function toTitleCase(input) {
     .join(' ');
 }
 
-// Minimal frontmatter parser with a gray-matter fallback.
-function parseFrontmatter(raw) {
-  if (matter) {
-    return matter(raw).data || {};
-  }
+// Page details (title, description, tags, contributors) keyed by file content hash,
+// so unchanged files are not re-parsed. Bump the version when extractSummary changes.
+const pageCache = openCache('folder-index-pages-v2');
+// Longest description shown for an entry before it is cut at a word boundary.
+const MAX_DESCRIPTION_LENGTH = 200;
+// Line length enforced by markdownlint (mardownlint.json).
+const MAX_LINE_LENGTH = 120;
+// Labels of the contributor roles, shared with the pages themselves (AttributionList).
+const ROLE_LABELS = require('../docs/pages/config/roles.json');
+const CONTRIBUTORS_PATH = path.join(DOCS_ROOT, 'config', 'contributors.json');
+const COMPONENTS_DIR = path.join(__dirname, '..', 'components');
+// Shown next to pages that are `dev: true` in the sidebar (only listed on preview branches).
+const DRAFT_BADGE = '<DraftBadge/>';
+// Generated list of every page that is not published yet.
+const UNPUBLISHED_REPORT_ROUTE = '/contribute/unpublished';
+const UNPUBLISHED_REPORT_PATH = path.join(DOCS_ROOT, 'contribute', 'unpublished.mdx');
+const UNPUBLISHED_REPORT_TITLE = "What's Unpublished";
+const UNPUBLISHED_REPORT_DESCRIPTION = 'Every page that is still in progress, grouped by framework, with its contributors.';
+// Generated profile pages, one per contributor (components/shared/constants.ts links to them).
+const PROFILES_DIR = path.join(DOCS_ROOT, 'contributors');
+
+// Turns a markdown paragraph into plain text (inline and reference links,
+// emphasis and inline code unwrapped).
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    // `[text][label]`, `[text][]` and `[text]`
+    .replace(/\[([^\]]*)\]\s?\[[^\]]*\]/g, '$1')
+    .replace(/\[([^\]]+)\]/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
 
-  const match = raw.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) {
-    return {};
-  }
+// Shortens text to the description length, ending on a whole word.
+function truncate(text, maxLength = MAX_DESCRIPTION_LENGTH) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength).replace(/[\s,;:.]+$/, '')}…`;
+}
 
-  const lines = match[1].split('\n');
-  const data = {};
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const colonIndex = trimmed.indexOf(':');
-    if (colonIndex === -1) continue;
-    const key = trimmed.slice(0, colonIndex).trim();
-    let value = trimmed.slice(colonIndex + 1).trim();
-    value = value.replace(/^['"]|['"]$/g, '');
-    if (key && value && !(key in data)) {
-      data[key] = value;
-    }
-  }
-  return data;
+// Summarises an MDX body: its "Key Takeaway" quote when it has one, otherwise the
+// first prose paragraph (imports, headings, JSX, lists, tables, code blocks,
+// link reference definitions and paragraphs introducing a list are skipped).
+// MDX comments such as `{/* TODO */}` are removed first.
+function extractSummary(content) {
+  const blocks = content
+    .replace(/^(```|~~~)[\s\S]*?^\1/gm, '')
+    .replace(/\{\s*\/\*[\s\S]*?\*\/\s*\}/g, '')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  const takeaway = blocks.find((block) => block.startsWith('>') && /key takeaway/i.test(block));
+  if (takeaway) {
+    return toPlainText(takeaway.replace(/^>\s?/gm, '')).replace(/^\W*key takeaway\W*/i, '');
+  }
+
+  const paragraph = blocks.find((block) => !/^(import |export |#|>|<|\{|[-*+] |\d+\. |\||---|:::|!\[|\[[^\]]+\]:)/.test(block)
+    && !block.endsWith(':'));
+  return paragraph ? toPlainText(paragraph) : '';
 }
 
-// Attempts to read the frontmatter title from a file, ignoring errors.
-function readFrontmatterTitle(filePath) {
+// Reads the details of a page shown in folder indexes, ignoring errors.
+function readPageInfo(filePath) {
   try {
     const raw = fs.readFileSync(filePath, 'utf8');
-    const parsed = parseFrontmatter(raw);
-    const title = parsed && typeof parsed.title === 'string'
-      ? parsed.title.trim()
-      : '';
-    return title || '';
+    const hash = hashContent(raw);
+    const cacheKey = path.relative(DOCS_ROOT, filePath);
+    const cached = pageCache.get(cacheKey, hash);
+    if (cached !== undefined) {
+      return cached;
+    }
+    const { data, content } = parseMdx(raw);
+    const description = typeof data.description === 'string' && data.description.trim()
+      ? data.description.trim()
+      : extractSummary(content);
+    const info = {
+      title: typeof data.title === 'string' ? data.title.trim() : '',
+      description: truncate(description),
+      tags: Array.isArray(data.tags) ? [...new Set(data.tags.map(String))] : [],
+      contributors: normalizeContributors(data.contributors),
+    };
+    pageCache.set(cacheKey, hash, info);
+    return info;
   } catch (error) {
     console.warn(`Warning: unable to read frontmatter from ${filePath}: ${error.message}`);
-    return '';
+    return { title: '', description: '', tags: [], contributors: [] };
+  }
+}
+
+// Display names of the contributors, keyed by GitHub handle.
+function loadContributorNames() {
+  try {
+    const contributors = JSON.parse(fs.readFileSync(CONTRIBUTORS_PATH, 'utf8'));
+    return Object.fromEntries(Object.entries(contributors).map(([slug, person]) => [slug, person.name || slug]));
+  } catch (error) {
+    console.warn(`Warning: unable to read ${path.relative(DOCS_ROOT, CONTRIBUTORS_PATH)}: ${error.message}`);
+    return {};
   }
 }
 
+// Sidebar routes in order, with their position and dev status. Loaded once per
+// run: the sidebar is built from vocs.config.ts, the _meta.json files and page
+// frontmatter, so main() and generateForFiles() start from a fresh copy.
+let sidebarRoutes = null;
+function getSidebarRoutes() {
+  if (!sidebarRoutes) {
+    sidebarRoutes = new Map();
+    Array.from(collectSidebarRoutes(loadSidebar() || [])).forEach(([route, { dev, text }], position) => {
+      sidebarRoutes.set(route, { position, dev, text });
+    });
+  }
+  return sidebarRoutes;
+}
+
+// Sidebar position of a page, or of the first sidebar page inside a folder.
+function getSidebarPosition(route, routes) {
+  if (routes.has(route)) {
+    return routes.get(route).position;
+  }
+  let first = Infinity;
+  routes.forEach(({ position }, sidebarRoute) => {
+    if (sidebarRoute.startsWith(`${route}/`) && position < first) {
+      first = position;
+    }
+  });
+  return first;
+}
+
+// Whether a page is marked `dev: true` in the sidebar (not yet published).
+function isDevRoute(route) {
+  const item = getSidebarRoutes().get(route);
+  return Boolean(item && item.dev);
+}
+
 // Escapes double quotes so titles stay valid YAML.
 function escapeFrontmatterValue(value) {
   return value.replace(/"/g, '\\"');
@@ -100,192 +231,6 @@ function toRoutePathFromRelative(relativePath) {
   return route;
 }
 
-// Normalises routes coming from sidebar links so we can compare easily.
-function normalizeRouteFromLink(link) {
-  if (!link) {
-    return '/';
-  }
-  let route = normalizeSlashes(String(link).trim());
-  if (!route.startsWith('/')) {
-    route = `/${route}`;
-  }
-  route = route.replace(/\/+/g, '/');
-  if (route.length > 1 && route.endsWith('/')) {
-    route = route.slice(0, -1);
-  }
-  return route || '/';
-}
-
-// Adds a route and its ancestor segments (e.g. `/opsec/travel` -> `/opsec`, `/opsec/travel`).
-function addRouteWithAncestors(route, routeSet) {
-  if (!route || route === '/') {
-    return;
-  }
-  const segments = route.split('/').filter(Boolean);
-  let current = '';
-  segments.forEach((segment) => {
-    current += `/${segment}`;
-    routeSet.add(current);
-  });
-}
-
-// Recursively extracts every route in the sidebar configuration.
-function collectRoutesFromSidebar(items, routeSet) {
-  if (!Array.isArray(items) || items.length === 0) {
-    return;
-  }
-  items.forEach((item) => {
-    if (!item || typeof item !== 'object') {
-      return;
-    }
-    if (typeof item.link === 'string') {
-      const route = normalizeRouteFromLink(item.link);
-      addRouteWithAncestors(route, routeSet);
-    }
-    if (Array.isArray(item.items)) {
-      collectRoutesFromSidebar(item.items, routeSet);
-    }
-  });
-}
-
-// Determines the current Git branch, ignoring failures (e.g. CI without git metadata).
-function detectCurrentBranch() {
-  try {
-    const result = childProcess.execSync('git rev-parse --abbrev-ref HEAD', {
-      cwd: path.join(__dirname, '..'),
-      stdio: ['ignore', 'pipe', 'ignore'],
-    });
-    return result.toString().trim();
-  } catch (error) {
-    return null;
-  }
-}
-
-// Resolves the active branch from environment variables or Git.
-function resolveCurrentBranch() {
-  const candidates = [
-    process.env.CF_PAGES_BRANCH,
-    process.env.VERCEL_GIT_COMMIT_REF,
-    process.env.BRANCH,
-    process.env.GITHUB_REF_NAME,
-  ];
-
-  for (const candidate of candidates) {
-    if (typeof candidate === 'string') {
-      const trimmed = candidate.trim();
-      if (trimmed) {
-        return trimmed;
-      }
-    }
-  }
-
-  return detectCurrentBranch();
-}
-
-// Decides whether the current branch should be treated as production (`main`) for filtering.
-function resolvePrimaryFilterBranch() {
-  const branch = resolveCurrentBranch();
-  if (!branch) {
-    return null;
-  }
-
-  const normalized = branch.trim();
-  const lower = normalized.toLowerCase();
-  const cfPrimary = typeof process.env.CF_PAGES_PRIMARY_BRANCH === 'string'
-    ? process.env.CF_PAGES_PRIMARY_BRANCH.trim()
-    : '';
-
-  if (lower === 'main') {
-    return 'main';
-  }
-
-  if (lower === 'production') {
-    return 'main';
-  }
-
-  if (cfPrimary && lower === cfPrimary.trim().toLowerCase()) {
-    return 'main';
-  }
-
-  return null;
-}
-
-// Loads and evaluates `vocs.config.ts`, tweaking env vars so the sidebar matches the branch.
-function loadSidebarConfig(branchName) {
-  const configPath = path.join(__dirname, '..', 'vocs.config.ts');
-  if (!fs.existsSync(configPath)) {
-    return null;
-  }
-
-  const raw = fs.readFileSync(configPath, 'utf8');
-  const sanitized = raw
-    .replace(/^import[^\n]*\n/, '')
-    .replace(/export default defineConfig\(config\)\s*;?\s*$/, 'return defineConfig(config);')
-    .replace(/function filterDevItems\(items: any\[\]\): any\[\] \{/, 'function filterDevItems(items) {')
-    .replace(/\bas const\b/g, '');
-
-  const loader = new Function('defineConfig', sanitized);
-  const previousCF = Object.prototype.hasOwnProperty.call(process.env, 'CF_PAGES_BRANCH')
-    ? process.env.CF_PAGES_BRANCH
-    : undefined;
-  const previousVercel = Object.prototype.hasOwnProperty.call(process.env, 'VERCEL_GIT_COMMIT_REF')
-    ? process.env.VERCEL_GIT_COMMIT_REF
-    : undefined;
-
-  if (branchName) {
-    process.env.CF_PAGES_BRANCH = branchName;
-    process.env.VERCEL_GIT_COMMIT_REF = branchName;
-  } else {
-    delete process.env.CF_PAGES_BRANCH;
-    delete process.env.VERCEL_GIT_COMMIT_REF;
-  }
-
-  try {
-    return loader((cfg) => cfg);
-  } catch (error) {
-    console.warn(`Warning: unable to evaluate vocs.config.ts: ${error.message}`);
-    return null;
-  } finally {
-    if (previousCF === undefined) {
-      delete process.env.CF_PAGES_BRANCH;
-    } else {
-      process.env.CF_PAGES_BRANCH = previousCF;
-    }
-    if (previousVercel === undefined) {
-      delete process.env.VERCEL_GIT_COMMIT_REF;
-    } else {
-      process.env.VERCEL_GIT_COMMIT_REF = previousVercel;
-    }
-  }
-}
-
-// Builds the set of routes that are permitted on production (main) deployments.
-function buildAllowedRouteSet(branchName) {
-  if (branchName !== 'main') {
-    return null;
-  }
-
-  const config = loadSidebarConfig(branchName);
-  if (!config || !Array.isArray(config.sidebar)) {
-    return null;
-  }
-
-  const routes = new Set();
-  collectRoutesFromSidebar(config.sidebar, routes);
-  return routes;
-}
-
-// Tests if a route is allowed to appear based on the current branch rules.
-function isRouteAllowed(route, allowedRoutes) {
-  if (!allowedRoutes || allowedRoutes.size === 0) {
-    return true;
-  }
-  if (!route || route === '/') {
-    return true;
-  }
-  return allowedRoutes.has(route);
-}
-
 // Checks whether a directory (or its descendants) contains any allowed MDX pages.
 function directoryHasDocs(dirPath, allowedRoutes) {
   try {
@@ -315,26 +260,35 @@ function directoryHasDocs(dirPath, allowedRoutes) {
   }
 }
 
-// Derives the display title for a folder, preferring its own index/overview title if present.
-function readFolderTitle(dirPath) {
-  const candidates = [
-    path.join(dirPath, 'index.mdx'),
-    path.join(dirPath, 'overview.mdx'),
-  ];
-
-  for (const candidate of candidates) {
-    if (fs.existsSync(candidate)) {
-      const title = readFrontmatterTitle(candidate);
-      if (title) {
-        return title;
-      }
-    }
-  }
+// Derives the display title and description of a folder, preferring its own index/overview page.
+function readFolderInfo(dirPath) {
+  const pages = ['index.mdx', 'overview.mdx']
+    .map((name) => path.join(dirPath, name))
+    .filter((candidate) => fs.existsSync(candidate)
+      && !hasGeneratedMarker(fs.readFileSync(candidate, 'utf8')))
+    .map(readPageInfo);
+  const titled = pages.find((page) => page.title);
+  const described = pages.find((page) => page.description);
+
+  return {
+    title: titled ? titled.title : toTitleCase(path.basename(dirPath)),
+    description: described ? described.description : '',
+  };
+}
 
-  return toTitleCase(path.basename(dirPath));
+// Lists the MDX pages (other than the index) and the sub-folders of a directory.
+function listDirectory(dirPath) {
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  return {
+    subdirs: entries.filter((entry) => entry.isDirectory() && !shouldIgnoreDirectory(entry.name)),
+    files: entries.filter((entry) => entry.isFile()
+      && entry.name.toLowerCase().endsWith('.mdx')
+      && entry.name.toLowerCase() !== 'index.mdx'),
+  };
 }
 
-// Deduplicates entries by route and prefers directories when both file and folder exist.
+// Deduplicates entries by route (preferring directories when both file and folder
+// exist) and orders them like the sidebar; pages missing from it come last, by title.
 function finalizeEntries(entries) {
   const byRoute = new Map();
   entries.forEach((entry) => {
@@ -344,26 +298,32 @@ function finalizeEntries(entries) {
     }
   });
 
+  const routes = getSidebarRoutes();
   return Array.from(byRoute.values())
-    .sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }))
-    .map(({ sourceType, ...rest }) => rest);
+    .map((entry) => ({ entry, position: getSidebarPosition(entry.route, routes) }))
+    .sort((a, b) => (a.position - b.position)
+      || (a.position === Infinity
+        ? a.entry.title.localeCompare(b.entry.title, undefined, { sensitivity: 'base' })
+        : 0))
+    .map(({ entry: { sourceType, ...rest } }) => rest);
 }
 
-// Assembles the list of child pages/folders for the current directory.
+// Assembles the tree of child pages/folders for a directory; folders hold their own entries.
 function buildPageEntries(dirPath, files, subdirs, allowedRoutes) {
   const entries = [];
 
   files.forEach((file) => {
     const filePath = path.join(dirPath, file.name);
     const route = toRoutePathFromRelative(path.relative(DOCS_ROOT, filePath));
-    const fallbackTitle = toTitleCase(file.name.replace(/\.mdx$/i, ''));
-    const title = readFrontmatterTitle(filePath) || fallbackTitle;
     if (!isRouteAllowed(route, allowedRoutes)) {
       return;
     }
+    const info = readPageInfo(filePath);
     entries.push({
-      title,
+      ...info,
+      title: info.title || toTitleCase(file.name.replace(/\.mdx$/i, '')),
       route,
+      dev: isDevRoute(route),
       sourceType: 'file',
     });
   });
@@ -378,10 +338,16 @@ function buildPageEntries(dirPath, files, subdirs, allowedRoutes) {
     if (!isRouteAllowed(route, allowedRoutes) && allowedRoutes) {
       return;
     }
-    const title = readFolderTitle(folderPath);
+    const listing = listDirectory(folderPath);
+    const children = buildPageEntries(folderPath, listing.files, listing.subdirs, allowedRoutes);
     entries.push({
-      title,
+      ...readFolderInfo(folderPath),
+      tags: [],
+      contributors: [],
       route,
+      // A folder is a draft when nothing inside it is published yet
+      dev: children.length > 0 && children.every((child) => child.dev),
+      children,
       sourceType: 'directory',
     });
   });
@@ -389,12 +355,169 @@ function buildPageEntries(dirPath, files, subdirs, allowedRoutes) {
   return finalizeEntries(entries);
 }
 
+// Escapes characters that MDX would read as markup in plain text.
+function escapeMdxText(value) {
+  return value.replace(/([\\{}<>[\]*_`])/g, '\\$1');
+}
+
+// "Authored by matta · Reviewed by Fredrik Svantes" for the non-empty contributor roles.
+function formatContributors(contributors, names) {
+  return contributors
+    .filter((group) => group.users.length > 0)
+    .map((group) => {
+      const label = ROLE_LABELS[group.role] || toTitleCase(group.role);
+      return `${label} ${group.users.map((user) => names[user] || user).join(', ')}`;
+    })
+    .join(' · ');
+}
+
+// Wraps text at the markdown line length; `prefix` starts the first line and
+// `indent` the following ones.
+function wrapText(text, prefix, indent) {
+  const lines = [];
+  let line = prefix;
+  let lineStart = line.length;
+  text.split(' ').filter(Boolean).forEach((word) => {
+    if (line.length > lineStart && line.length + 1 + word.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = `${indent}${word}`;
+      lineStart = indent.length;
+    } else {
+      line = line.length > lineStart ? `${line} ${word}` : `${line}${word}`;
+    }
+  });
+  lines.push(line);
+  return lines;
+}
+
+// Renders entries as a nested markdown list with each page's description, tags and contributors.
+function renderEntries(pageEntries, names, depth = 0) {
+  const indent = '  '.repeat(depth);
+  return pageEntries.flatMap((entry, index) => {
+    const lines = index > 0 ? [''] : [];
+    const description = entry.description ? `: ${escapeMdxText(entry.description)}` : '';
+    const badge = entry.dev ? ` ${DRAFT_BADGE}` : '';
+    lines.push(...wrapText(`**[${escapeMdxText(entry.title)}](${entry.route})**${badge}${description}`, `${indent}- `, `${indent}  `));
+    if (entry.tags.length > 0) {
+      lines.push('', `${indent}  <TagList tags={${JSON.stringify(entry.tags)}} />`);
+    }
+    const credits = formatContributors(entry.contributors, names);
+    if (credits) {
+      lines.push('', ...wrapText(`_${escapeMdxText(credits)}_`, `${indent}  `, `${indent}  `));
+    }
+    if (entry.children && entry.children.length > 0) {
+      lines.push('', ...renderEntries(entry.children, names, depth + 1));
+    }
+    return lines;
+  });
+}
+
+// Tells whether any entry of a tree shows tags (and so needs the TagList import).
+function hasTags(pageEntries) {
+  return pageEntries.some((entry) => entry.tags.length > 0 || hasTags(entry.children || []));
+}
+
+// Whether any entry (at any depth) is a draft, i.e. needs the DraftBadge import.
+function hasDrafts(pageEntries) {
+  return pageEntries.some((entry) => entry.dev || hasDrafts(entry.children || []));
+}
+
+// Import line for the components a generated page uses (none: null).
+function renderComponentsImport(dirPath, components) {
+  if (components.length === 0) {
+    return null;
+  }
+  const componentsPath = normalizeSlashes(path.relative(dirPath, COMPONENTS_DIR));
+  return `import { ${components.join(', ')} } from '${componentsPath}'`;
+}
+
 // Tells whether an index file was previously generated by this script.
 function hasGeneratedMarker(content) {
   if (!content) return false;
   return content.includes(GENERATED_MARKER) || content.includes(LEGACY_MARKER);
 }
 
+// Whether changes are only planned (dry-run and check) instead of written.
+function isPlanning() {
+  return runOptions.dryRun || runOptions.check;
+}
+
+// Progress messages go to stderr while planning, so a dry-run's stdout is a clean patch.
+function log(message) {
+  if (isPlanning()) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+// Creates, updates (`after` set) or deletes (`after` null) an index, or records
+// the change and prints its diff when only planning.
+function applyChange(indexPath, before, after, message) {
+  if (!isPlanning()) {
+    if (after === null) {
+      fs.unlinkSync(indexPath);
+    } else {
+      fs.writeFileSync(indexPath, after);
+    }
+    console.log(message);
+    return;
+  }
+
+  const relativePath = normalizeSlashes(path.relative(ROOT_DIR, indexPath));
+  const action = after === null ? 'delete' : before === null ? 'create' : 'update';
+  plannedChanges.push({ path: relativePath, action });
+  if (runOptions.dryRun) {
+    process.stdout.write(createUnifiedDiff(relativePath, before, after));
+  }
+}
+
+// Asks a yes/no question on the terminal and waits for the answer. The answer
+// is read from /dev/tty, which blocks until a line is typed (stdin may be
+// non-blocking). Without a controlling terminal the answer is no.
+function confirm(question) {
+  let fd;
+  try {
+    fd = fs.openSync('/dev/tty', 'r');
+  } catch (error) {
+    return false;
+  }
+  try {
+    process.stdout.write(`${question} [y/N] `);
+    const buffer = Buffer.alloc(256);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, null);
+    return /^y(es)?$/i.test(buffer.toString('utf8', 0, bytes).trim());
+  } catch (error) {
+    return false;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Decides whether a hand-written index may be replaced: it is on the --allow
+// list, or --force was given and the user agrees (or we are only planning).
+function canOverwriteManual(indexPath, relativeIndex) {
+  if (runOptions.allow.has(indexPath)) {
+    return true;
+  }
+  if (!runOptions.force) {
+    log(`Skipping ${relativeIndex} (manual index detected)`);
+    return false;
+  }
+  if (isPlanning()) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    log(`Skipping ${relativeIndex} (manual index; --force needs a terminal, use --allow ${relativeIndex})`);
+    return false;
+  }
+  if (confirm(`Overwrite the manual index ${relativeIndex}?`)) {
+    return true;
+  }
+  log(`Skipping ${relativeIndex} (kept manual index)`);
+  return false;
+}
+
 // Removes a generated index when no allowed entries remain.
 function removeGeneratedIndex(dirPath) {
   const indexPath = path.join(dirPath, 'index.mdx');
@@ -405,30 +528,33 @@ function removeGeneratedIndex(dirPath) {
   if (!hasGeneratedMarker(content)) {
     return;
   }
-  fs.unlinkSync(indexPath);
   const relativeIndex = path.relative(DOCS_ROOT, indexPath) || 'index.mdx';
-  console.log(`Removed generated index ${relativeIndex}`);
+  applyChange(indexPath, content, null, `Removed generated index ${relativeIndex}`);
 }
 
-// Writes (or updates) an index.mdx file for a directory.
-function writeIndex(dirPath, pageEntries) {
-  const indexPath = path.join(dirPath, 'index.mdx');
-  const relativeIndex = path.relative(DOCS_ROOT, indexPath) || 'index.mdx';
-  const existingContent = fs.existsSync(indexPath)
-    ? fs.readFileSync(indexPath, 'utf8')
+// Writes generated content to a file, unless it holds a manual page that may not be replaced.
+function writeGeneratedFile(filePath, nextContent) {
+  const relativePath = path.relative(DOCS_ROOT, filePath);
+  const existingContent = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
     : null;
-  const isGenerated = hasGeneratedMarker(existingContent);
 
-  if (existingContent && !isGenerated && !FORCE) {
-    console.log(`Skipping ${relativeIndex} (manual index detected)`);
+  if (existingContent && !hasGeneratedMarker(existingContent) && !canOverwriteManual(filePath, relativePath)) {
+    return;
+  }
+
+  if (existingContent === nextContent) {
+    log(`Unchanged ${relativePath}`);
     return;
   }
 
+  applyChange(filePath, existingContent, nextContent, `${existingContent ? 'Updated' : 'Created'} ${relativePath}`);
+}
+
+// Writes (or updates) an index.mdx file for a directory.
+function writeIndex(dirPath, pageEntries) {
   if (pageEntries.length === 0) {
-    if (isGenerated) {
-      fs.unlinkSync(indexPath);
-      console.log(`Removed empty generated index ${relativeIndex}`);
-    }
+    removeGeneratedIndex(dirPath);
     return;
   }
 
@@ -440,12 +566,21 @@ function writeIndex(dirPath, pageEntries) {
     return toTitleCase(segment);
   })();
 
+  const components = [
+    ...(hasDrafts(pageEntries) ? ['DraftBadge'] : []),
+    ...(hasTags(pageEntries) ? ['TagList'] : []),
+  ];
+
   const lines = [];
   lines.push('---');
   lines.push(`title: "${escapeFrontmatterValue(folderTitle)}"`);
   lines.push('---');
   lines.push('');
   lines.push(GENERATED_MARKER);
+  const componentsImport = renderComponentsImport(dirPath, components);
+  if (componentsImport) {
+    lines.push(componentsImport);
+  }
   lines.push('');
   lines.push(`# ${folderTitle}`);
   lines.push('');
@@ -453,20 +588,195 @@ function writeIndex(dirPath, pageEntries) {
   lines.push('');
   lines.push('## Pages');
   lines.push('');
-  pageEntries.forEach(({ title, route }) => {
-    lines.push(`- [${title}](${route})`);
+  lines.push(...renderEntries(pageEntries, loadContributorNames()));
+  lines.push('');
+
+  writeGeneratedFile(path.join(dirPath, 'index.mdx'), lines.join('\n'));
+}
+
+// Finds the MDX file behind a route (`/a/b` -> a/b.mdx or a/b/index.mdx), or null.
+function findPageFile(route) {
+  return [`${route}.mdx`, `${route}/index.mdx`]
+    .map((candidate) => path.join(DOCS_ROOT, candidate))
+    .find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+// Every page marked `dev: true` in the sidebar, grouped by framework (its
+// top-level folder) in sidebar order.
+function collectUnpublishedPages() {
+  const groups = new Map();
+  getSidebarRoutes().forEach(({ dev, text }, route) => {
+    if (!dev || route === UNPUBLISHED_REPORT_ROUTE) return;
+    const segment = route.split('/').filter(Boolean)[0] || '';
+    if (!groups.has(segment)) {
+      const folderPath = path.join(DOCS_ROOT, segment);
+      const title = segment && fs.existsSync(folderPath) ? readFolderInfo(folderPath).title : toTitleCase(segment);
+      groups.set(segment, { title: title || 'Documentation', pages: [] });
+    }
+    const filePath = findPageFile(route);
+    const info = filePath ? readPageInfo(filePath) : { title: '', contributors: [] };
+    groups.get(segment).pages.push({
+      route,
+      title: info.title || text || route,
+      contributors: info.contributors,
+      missing: !filePath,
+    });
+  });
+  return Array.from(groups.values());
+}
+
+// Writes the "What's unpublished" report: every page still hidden from the
+// main site, with the people working on it.
+function writeUnpublishedReport() {
+  const groups = collectUnpublishedPages();
+  const names = loadContributorNames();
+  const total = groups.reduce((sum, group) => sum + group.pages.length, 0);
+
+  const lines = [];
+  lines.push('---');
+  lines.push(`title: "${escapeFrontmatterValue(UNPUBLISHED_REPORT_TITLE)}"`);
+  lines.push(`description: "${escapeFrontmatterValue(UNPUBLISHED_REPORT_DESCRIPTION)}"`);
+  lines.push('---');
+  lines.push('');
+  lines.push(GENERATED_MARKER);
+  lines.push('');
+  lines.push(`# ${UNPUBLISHED_REPORT_TITLE}`);
+  lines.push('');
+  lines.push(...wrapText(
+    `> _Note:_ This page is auto-generated from the sidebar. It lists the ${total} pages marked \`dev: true\`, which are `
+      + 'shown on preview deployments only and stay hidden from the main site until they are published.',
+    '',
+    '> ',
+  ));
+  groups.forEach((group) => {
+    lines.push('', `## ${escapeMdxText(group.title)}`, '');
+    group.pages.forEach((page, index) => {
+      if (index > 0) lines.push('');
+      const title = page.missing
+        ? `**${escapeMdxText(page.title)}** (\`${page.route}\`, no page yet)`
+        : `**[${escapeMdxText(page.title)}](${page.route})**`;
+      lines.push(...wrapText(title, '- ', '  '));
+      const credits = formatContributors(page.contributors, names) || 'No contributors listed yet';
+      lines.push('', ...wrapText(`_${escapeMdxText(credits)}_`, '  ', '  '));
+    });
   });
   lines.push('');
 
-  const nextContent = lines.join('\n');
+  writeGeneratedFile(UNPUBLISHED_REPORT_PATH, lines.join('\n'));
+}
 
-  if (existingContent === nextContent) {
-    console.log(`Unchanged ${relativeIndex}`);
+// Every MDX file below a directory, generated profiles aside.
+function listPageFiles(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      return shouldIgnoreDirectory(entry.name) || entryPath === PROFILES_DIR ? [] : listPageFiles(entryPath);
+    }
+    return entry.isFile() && entry.name.toLowerCase().endsWith('.mdx') ? [entryPath] : [];
+  });
+}
+
+// The pages each contributor is credited on, by slug and then role, in sidebar
+// order. Production branches leave out the pages that are not published yet.
+function collectContributions(allowedRoutes) {
+  const contributions = new Map();
+  listPageFiles(DOCS_ROOT).forEach((filePath) => {
+    const route = toRoutePathFromRelative(path.relative(DOCS_ROOT, filePath));
+    if (!isRouteAllowed(route, allowedRoutes)) return;
+    const info = readPageInfo(filePath);
+    info.contributors.forEach((group) => {
+      group.users.forEach((user) => {
+        if (!contributions.has(user)) contributions.set(user, new Map());
+        const roles = contributions.get(user);
+        if (!roles.has(group.role)) roles.set(group.role, []);
+        roles.get(group.role).push({
+          title: info.title || toTitleCase(path.basename(filePath, '.mdx')),
+          route,
+          dev: isDevRoute(route),
+          sourceType: 'file',
+        });
+      });
+    });
+  });
+
+  contributions.forEach((roles) => {
+    roles.forEach((pages, role) => roles.set(role, finalizeEntries(pages)));
+  });
+  return contributions;
+}
+
+// Renders the profile page of one contributor.
+function renderContributorProfile(slug, person, roles) {
+  const name = person.name || slug;
+  const sections = [...Object.keys(ROLE_LABELS), ...roles.keys()]
+    .filter((role, index, all) => all.indexOf(role) === index && roles.has(role));
+  const pages = sections.flatMap((role) => roles.get(role));
+  const components = ['ContributorCard', ...(pages.some((page) => page.dev) ? ['DraftBadge'] : [])];
+
+  const lines = [];
+  lines.push('---');
+  lines.push(`title: "${escapeFrontmatterValue(name)}"`);
+  lines.push(`description: "${escapeFrontmatterValue(`Pages written, reviewed or fact-checked by ${name}.`)}"`);
+  lines.push('---');
+  lines.push('');
+  lines.push(GENERATED_MARKER);
+  lines.push(renderComponentsImport(PROFILES_DIR, components));
+  lines.push('');
+  lines.push(`# ${escapeMdxText(name)}`);
+  lines.push('');
+  lines.push(`<ContributorCard slug="${slug}" />`);
+  lines.push('');
+  lines.push(...wrapText(
+    '> _Note:_ This page is auto-generated from the `contributors` frontmatter of every page.',
+    '',
+    '> ',
+  ));
+  if (sections.length === 0) {
+    lines.push('', '_No pages credited yet._');
+  }
+  sections.forEach((role) => {
+    // "Reviewed by" -> "Reviewed"
+    const label = (ROLE_LABELS[role] || toTitleCase(role)).replace(/ by$/, '');
+    lines.push('', `## ${escapeMdxText(label)} (${roles.get(role).length})`, '');
+    roles.get(role).forEach((page) => {
+      const badge = page.dev ? ` ${DRAFT_BADGE}` : '';
+      lines.push(...wrapText(`**[${escapeMdxText(page.title)}](${page.route})**${badge}`, '- ', '  '));
+    });
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+// Writes a profile page for every contributor in the registry and removes the
+// generated profiles of contributors who are no longer in it.
+function writeContributorProfiles(allowedRoutes = resolveAllowedRoutes()) {
+  let registry = {};
+  try {
+    registry = JSON.parse(fs.readFileSync(CONTRIBUTORS_PATH, 'utf8'));
+  } catch (error) {
+    console.warn(`Warning: unable to read ${path.relative(DOCS_ROOT, CONTRIBUTORS_PATH)}: ${error.message}`);
     return;
   }
+  const contributions = collectContributions(allowedRoutes);
+
+  if (!isPlanning()) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  }
+  Object.entries(registry).forEach(([slug, person]) => {
+    const content = renderContributorProfile(slug, person, contributions.get(slug) || new Map());
+    writeGeneratedFile(path.join(PROFILES_DIR, `${slug}.mdx`), content);
+  });
 
-  fs.writeFileSync(indexPath, nextContent);
-  console.log(`${existingContent ? 'Updated' : 'Created'} ${relativeIndex}`);
+  if (!fs.existsSync(PROFILES_DIR)) return;
+  fs.readdirSync(PROFILES_DIR)
+    .filter((fileName) => fileName.endsWith('.mdx') && !Object.prototype.hasOwnProperty.call(registry, fileName.slice(0, -4)))
+    .forEach((fileName) => {
+      const filePath = path.join(PROFILES_DIR, fileName);
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (hasGeneratedMarker(content)) {
+        applyChange(filePath, content, null, `Removed generated profile ${path.relative(DOCS_ROOT, filePath)}`);
+      }
+    });
 }
 
 // Filter system/hidden directories that should not appear in the docs.
@@ -474,51 +784,153 @@ function shouldIgnoreDirectory(name) {
   return name.startsWith('.') || name === 'node_modules';
 }
 
+// Generates (or removes) the index of a single directory.
+function generateDirectory(dirPath, allowedRoutes = null) {
+  const { files, subdirs } = listDirectory(dirPath);
+  const pageEntries = buildPageEntries(dirPath, files, subdirs, allowedRoutes);
+  if (pageEntries.length > 0) {
+    writeIndex(dirPath, pageEntries);
+    return;
+  }
+
+  removeGeneratedIndex(dirPath);
+}
+
 // Recursively traverses the docs tree, generating indexes bottom-up.
 function generateAll(dirPath, depth = 0, allowedRoutes = null) {
   const entries = fs.readdirSync(dirPath, { withFileTypes: true });
 
-  const subdirs = entries.filter((entry) => entry.isDirectory() && !shouldIgnoreDirectory(entry.name));
+  // The profiles folder only holds the generated profiles, which have no index
+  const subdirs = entries.filter((entry) => entry.isDirectory() && !shouldIgnoreDirectory(entry.name)
+    && path.join(dirPath, entry.name) !== PROFILES_DIR);
   subdirs.forEach((dirent) => generateAll(path.join(dirPath, dirent.name), depth + 1, allowedRoutes));
 
   if (depth === 0) {
     return;
   }
 
-  const mdxFiles = entries.filter((entry) => entry.isFile()
-    && entry.name.toLowerCase().endsWith('.mdx')
-    && entry.name.toLowerCase() !== 'index.mdx');
+  generateDirectory(dirPath, allowedRoutes);
+}
 
-  const pageEntries = buildPageEntries(dirPath, mdxFiles, subdirs, allowedRoutes);
-  if (pageEntries.length > 0) {
-    writeIndex(dirPath, pageEntries);
+// Resolves the routes allowed for the current branch (null means everything is allowed).
+// Production branches only list sidebar pages that are not in progress, plus their folders.
+function resolveAllowedRoutes() {
+  return isProductionBranch()
+    ? getAllowedRoutes({ includeAncestors: true })
+    : null;
+}
+
+// Regenerates only the indexes affected by changes to the given files: the
+// parent folder of each file and every folder above it, since each index shows
+// the whole tree below it (titles, descriptions, tags and contributors).
+function generateForFiles(filePaths, allowedRoutes = resolveAllowedRoutes()) {
+  sidebarRoutes = null;
+  const directories = new Set();
+  filePaths.forEach((filePath) => {
+    let dirPath = path.dirname(path.resolve(filePath));
+    // Walk up to the closest directory that still exists (e.g. after deleting a folder)
+    while (!fs.existsSync(dirPath) && dirPath.startsWith(DOCS_ROOT)) {
+      dirPath = path.dirname(dirPath);
+    }
+    while (dirPath !== DOCS_ROOT && dirPath.startsWith(DOCS_ROOT)) {
+      directories.add(dirPath);
+      dirPath = path.dirname(dirPath);
+    }
+  });
+
+  // The report lives in docs/pages too, so write it before the indexes that list it
+  writeUnpublishedReport();
+  writeContributorProfiles(allowedRoutes);
+  directories.forEach((dirPath) => generateDirectory(dirPath, allowedRoutes));
+  pageCache.save();
+}
+
+// Resolves an --allow path (a folder or its index.mdx, relative to the working
+// directory or to docs/pages) to the absolute path of the index.
+function resolveAllowedIndex(input) {
+  const candidates = [path.resolve(input), path.resolve(DOCS_ROOT, input)];
+  const match = candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+  return fs.existsSync(match) && fs.statSync(match).isDirectory()
+    ? path.join(match, 'index.mdx')
+    : match;
+}
+
+// Parses the command-line flags (see the usage at the top of this file).
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      check: { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      allow: { type: 'string', multiple: true, default: [] },
+    },
+  });
+  const allow = values.allow
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(resolveAllowedIndex);
+  return {
+    dryRun: values['dry-run'],
+    check: values.check,
+    force: values.force,
+    allow: new Set(allow),
+  };
+}
+
+// Summarises the planned changes; in check mode any change fails the run.
+function reportPlannedChanges() {
+  const count = plannedChanges.length;
+  if (count === 0) {
+    console.error('Folder indexes are up to date');
     return;
   }
 
-  removeGeneratedIndex(dirPath);
+  const label = `${count} folder index${count === 1 ? '' : 'es'}`;
+  if (runOptions.check) {
+    console.error(`${label} out of date:`);
+    plannedChanges.forEach((change) => console.error(`  ${change.action} ${change.path}`));
+    console.error('Run `pnpm run generate-indexes` and commit the result.');
+    process.exitCode = 1;
+    return;
+  }
+  console.error(`${label} would change (dry run, nothing written)`);
 }
 
-// Entry point when run as a CLI script.
-function main() {
+// Entry point when run as a CLI script (prebuild.js calls it without arguments).
+function main(argv = []) {
   if (!fs.existsSync(DOCS_ROOT)) {
     console.error(`Docs directory not found at ${DOCS_ROOT}`);
     process.exit(1);
   }
 
-  const filterBranch = resolvePrimaryFilterBranch();
-  const allowedRoutes = filterBranch
-    ? buildAllowedRouteSet(filterBranch)
-    : null;
-
+  runOptions = { ...DEFAULT_OPTIONS, ...parseCliOptions(argv) };
+  plannedChanges = [];
+  sidebarRoutes = null;
+  const allowedRoutes = resolveAllowedRoutes();
+  writeUnpublishedReport();
+  writeContributorProfiles(allowedRoutes);
   generateAll(DOCS_ROOT, 0, allowedRoutes);
+  pageCache.save();
+  if (isPlanning()) {
+    reportPlannedChanges();
+  }
 }
 
 if (require.main === module) {
-  main();
+  main(process.argv.slice(2));
 }
 
 module.exports = {
+  DOCS_ROOT,
   main,
   generateAll,
+  generateDirectory,
+  generateForFiles,
+  hasGeneratedMarker,
   writeIndex,
+  writeUnpublishedReport,
+  writeContributorProfiles,
+  resolveAllowedRoutes,
 };
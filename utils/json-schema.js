@@ -0,0 +1,80 @@
+/**
+ * Minimal JSON Schema validation for the config files under docs/pages/config.
+ *
+ * Supports the subset of draft-07 the schemas there use: $ref, type, enum,
+ * pattern, minLength, required, properties, additionalProperties, items,
+ * minItems and uniqueItems.
+ */
+
+// Type of a JSON value in JSON Schema terms.
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Validates `value` against `schema`, pushing a message per problem onto `errors`.
+// `location` names the value in messages (e.g. `contributors.alice.github`).
+function validateSchema(value, schema, rootSchema, location, errors) {
+  if (schema.$ref) {
+    const definition = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], rootSchema);
+    validateSchema(value, definition, rootSchema, location, errors);
+    return;
+  }
+
+  const type = jsonType(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(type)) {
+      errors.push(`${location} must be ${allowed.join(' or ')}, not ${type}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}, not ${JSON.stringify(value)}`);
+  }
+  if (type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${location} must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${location} does not match ${schema.pattern}`);
+    }
+  }
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${location} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push(`${location} lists ${key} more than once`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, rootSchema, `${location}[${index}]`, errors));
+    }
+  }
+  if (type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${location} is missing "${key}"`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = (schema.properties || {})[key];
+      if (childSchema) {
+        validateSchema(child, childSchema, rootSchema, `${location}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location} has unknown field "${key}"`);
+      } else if (schema.additionalProperties) {
+        validateSchema(child, schema.additionalProperties, rootSchema, `${location}.${key}`, errors);
+      }
+    });
+  }
+}
+
+module.exports = {
+  jsonType,
+  validateSchema,
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the syntax of every Mermaid diagram under "docs/pages", both
+ * ```mermaid code blocks and <MermaidRenderer code={`...`} /> calls, and
+ * reports `file:line` with the parser error. Exits with code 1 when any
+ * diagram fails to parse.
+ *
+ * Usage: node utils/mermaid-lint.js [file.mdx ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { walkDir, rendererRegex, unescapeTemplate, ROOT_DIR } = require('./mermaid-unwrap');
+
+const FENCE_OPEN_REGEX = /^([ \t]*)(`{3,}|~{3,})[ \t]*mermaid\b/;
+
+// Returns the 1-based line number of a string offset.
+function lineAt(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+// Finds the mermaid blocks of a file as `{ code, line }`, where `line` is the
+// line just before the first line of diagram code.
+function extractDiagrams(content) {
+  const diagrams = [];
+  const lines = content.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(FENCE_OPEN_REGEX);
+    if (!open) continue;
+
+    const [, indent, fence] = open;
+    const closeRegex = new RegExp(`^[ \\t]*${fence[0]}{${fence.length},}[ \\t]*$`);
+    const codeLines = [];
+    let j = i + 1;
+    while (j < lines.length && !closeRegex.test(lines[j])) {
+      codeLines.push(lines[j].startsWith(indent) ? lines[j].slice(indent.length) : lines[j].trimStart());
+      j++;
+    }
+    diagrams.push({ code: codeLines.join('\n'), line: i + 1 });
+    i = j;
+  }
+
+  for (const match of content.matchAll(rendererRegex)) {
+    const codeOffset = match.index + match[0].indexOf('code={`') + 'code={`'.length;
+    diagrams.push({ code: unescapeTemplate(match[2]), line: lineAt(content, codeOffset) - 1 });
+  }
+
+  return diagrams.sort((a, b) => a.line - b.line);
+}
+
+// Loads mermaid for Node. Its parser sanitizes labels with DOMPurify, which is
+// inert without a DOM; sanitizing does not matter for a syntax check, so the
+// missing hooks are replaced with pass-through ones.
+async function loadMermaid() {
+  const mermaidEntry = require.resolve('mermaid');
+  const purifyEntry = require.resolve('dompurify', { paths: [path.dirname(mermaidEntry)] });
+  const purifyEsm = path.join(path.dirname(purifyEntry), 'purify.es.mjs');
+  const { default: DOMPurify } = await import(pathToFileURL(fs.existsSync(purifyEsm) ? purifyEsm : purifyEntry).href);
+  if (typeof DOMPurify.addHook !== 'function') {
+    Object.assign(DOMPurify, {
+      addHook() {},
+      removeHook() {},
+      removeHooks() {},
+      removeAllHooks() {},
+      sanitize: (value) => value,
+    });
+  }
+
+  const mermaidEsm = path.join(path.dirname(mermaidEntry), 'mermaid.core.mjs');
+  const { default: mermaid } = await import(pathToFileURL(mermaidEsm).href);
+  mermaid.initialize({ startOnLoad: false });
+  return mermaid;
+}
+
+// Turns a mermaid error into a line offset within the diagram and a short message.
+function describeError(error) {
+  const message = String(error && error.message ? error.message : error);
+  const lineMatch = message.match(/on line (\d+)/);
+  const summary = message.split('\n').filter((line) => !/^\s*-*\^\s*$/.test(line));
+  return {
+    offset: lineMatch ? Number(lineMatch[1]) : 1,
+    message: summary.join(' ').replace(/\s+/g, ' ').trim(),
+  };
+}
+
+// Parses every diagram of the given files and returns the failures.
+async function lintFiles(files) {
+  const mermaid = await loadMermaid();
+  const failures = [];
+  let diagramCount = 0;
+
+  for (const filePath of files) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    for (const diagram of extractDiagrams(content)) {
+      diagramCount++;
+      try {
+        await mermaid.parse(diagram.code);
+      } catch (error) {
+        const { offset, message } = describeError(error);
+        failures.push({ file: filePath, line: diagram.line + offset, message });
+      }
+    }
+  }
+
+  return { diagramCount, failures };
+}
+
+async function main() {
+  const args = process.argv.slice(2).map((f) => path.resolve(f));
+  const files = args.length > 0 ? args : walkDir(ROOT_DIR, '.mdx');
+  const { diagramCount, failures } = await lintFiles(files);
+
+  failures.forEach(({ file, line, message }) => {
+    console.error(`${path.relative(process.cwd(), file)}:${line}: ${message}`);
+  });
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} of ${diagramCount} mermaid diagram(s) failed to parse`);
+    process.exit(1);
+  }
+  console.log(`All ${diagramCount} mermaid diagram(s) parsed successfully`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  describeError,
+  extractDiagrams,
+  lintFiles,
+  loadMermaid,
+};
@@ -0,0 +1,151 @@
+/**
+ * Build-time Mermaid checks and rendering used by utils/remark-mermaid.js.
+ *
+ * Every diagram is first parsed in Node with the parser of
+ * utils/mermaid-lint.js, so syntax errors fail the build even where no browser
+ * is available. Diagrams are then rendered in headless Chromium (through
+ * playwright) with the same mermaid bundle the site ships, once with the light
+ * theme and once with the dark one; a diagram that fails to render fails the
+ * build too. The SVGs are cached by content hash so unchanged diagrams are not
+ * rendered again. When no browser is installed (`npx playwright install
+ * chromium`) or it cannot start, rendering is skipped with a warning and the
+ * pages fall back to client-side rendering. Set MERMAID_PRERENDER=0 to skip it
+ * on purpose.
+ */
+
+const { hashContent, openCache } = require('./build-cache');
+const { describeError, loadMermaid } = require('./mermaid-lint');
+
+const THEMES = {
+  light: 'default',
+  dark: 'dark',
+};
+
+const svgCache = openCache('mermaid-svg');
+let browserUnavailable = process.env.MERMAID_PRERENDER === '0';
+// Loaded once and shared by every page of the build
+let nodeMermaid = null;
+
+// Thrown when a diagram does not parse or render, so the build can report where.
+class MermaidSyntaxError extends Error {
+  constructor(id, message) {
+    super(message);
+    this.name = 'MermaidSyntaxError';
+    this.diagramId = id;
+  }
+}
+
+// Parses the given `{ id, code }` diagrams in Node and throws a
+// MermaidSyntaxError for the first one that does not parse.
+async function checkDiagramSyntax(diagrams) {
+  if (diagrams.length === 0) {
+    return;
+  }
+  nodeMermaid = nodeMermaid || loadMermaid();
+  const mermaid = await nodeMermaid;
+  for (const { id, code } of diagrams) {
+    try {
+      await mermaid.parse(code);
+    } catch (error) {
+      throw new MermaidSyntaxError(id, describeError(error).message);
+    }
+  }
+}
+
+// Starts headless Chromium, or returns null and turns pre-rendering off for
+// the rest of the build when it is not installed or cannot start.
+async function launchBrowser() {
+  try {
+    const { chromium } = require('playwright');
+    return await chromium.launch();
+  } catch (error) {
+    browserUnavailable = true;
+    console.warn(`Warning: mermaid pre-rendering disabled, diagrams will render in the browser (${error.message.split('\n')[0]})`);
+    return null;
+  }
+}
+
+// Renders every diagram in one page of `browser`, then closes it, and returns
+// `{ [id]: { light, dark } }` or `{ [id]: { error } }`.
+async function renderInBrowser(browser, diagrams) {
+  try {
+    const page = await browser.newPage();
+    await page.setContent('<!doctype html><html><body></body></html>');
+    await page.addScriptTag({ path: require.resolve('mermaid/dist/mermaid.min.js') });
+
+    return await page.evaluate(async ({ diagrams, themes }) => {
+      const mermaid = window.mermaid;
+      const results = {};
+      for (const { id, code } of diagrams) {
+        try {
+          await mermaid.parse(code);
+        } catch (error) {
+          results[id] = { error: error.message || String(error) };
+          continue;
+        }
+        // A diagram that parses can still fail to render; report it like a syntax error
+        try {
+          const svgs = {};
+          for (const [variant, theme] of Object.entries(themes)) {
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme });
+            const { svg } = await mermaid.render(`${id}-${variant}`, code);
+            svgs[variant] = svg;
+          }
+          results[id] = svgs;
+        } catch (error) {
+          results[id] = { error: error.message || String(error) };
+        }
+      }
+      return results;
+    }, { diagrams, themes: THEMES });
+  } finally {
+    await browser.close();
+  }
+}
+
+// Returns `{ [id]: { light, dark } }` for the given `{ id, code }` diagrams,
+// or null when pre-rendering is unavailable. Throws a MermaidSyntaxError for
+// the first diagram that does not parse.
+async function prerenderDiagrams(diagrams) {
+  if (browserUnavailable || diagrams.length === 0) {
+    return null;
+  }
+
+  const rendered = {};
+  const pending = [];
+  diagrams.forEach(({ id, code }) => {
+    const cached = svgCache.get(id, hashContent(code));
+    if (cached) {
+      rendered[id] = cached;
+    } else {
+      pending.push({ id, code });
+    }
+  });
+
+  if (pending.length > 0) {
+    const browser = await launchBrowser();
+    if (!browser) {
+      return null;
+    }
+    const results = await renderInBrowser(browser, pending);
+
+    pending.forEach(({ id, code }) => {
+      const result = results[id];
+      if (result.error) {
+        throw new MermaidSyntaxError(id, result.error);
+      }
+      svgCache.set(id, hashContent(code), result);
+      rendered[id] = result;
+    });
+    svgCache.save();
+  }
+
+  return rendered;
+}
+
+module.exports = {
+  THEMES,
+  MermaidSyntaxError,
+  checkDiagramSyntax,
+  prerenderDiagrams,
+};
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * One-time migration: turns <MermaidRenderer code={`...`} /> calls in the MDX
+ * files under "docs/pages" back into plain ```mermaid code blocks and drops
+ * the MermaidRenderer import they needed.
+ *
+ * Diagrams are now rendered at compile time by utils/remark-mermaid.js, so
+ * the sources can keep regular fences (which GitHub also previews).
+ *
+ * Usage: node utils/mermaid-unwrap.js [file.mdx ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve('docs/pages');
+const COMPONENT_IMPORT = 'MermaidRenderer';
+
+const updatedFiles = []; // <-- track updated files
+
+// Matches a self-closing <MermaidRenderer ... code={`...`} ... /> call
+const rendererRegex = /^([ \t]*)<MermaidRenderer\b[^>]*?code=\{`((?:\\[\s\S]|[^`\\])*)`\}[^>]*?\/>[ \t]*$/gm;
+
+// Undoes the escaping a template literal needs
+function unescapeTemplate(code) {
+    return code.replace(/\\([`$\\])/g, '$1');
+}
+
+// Removes MermaidRenderer from the named imports (or the whole import line)
+function removeImport(content) {
+    const importRegex = /^import\s*{\s*([^}]+)\s*}\s*from\s*(['"][^'"]+['"]);?[ \t]*\n/gm;
+    return content.replace(importRegex, (match, names, source) => {
+        const imports = names.split(',').map(s => s.trim()).filter(Boolean);
+        if (!imports.includes(COMPONENT_IMPORT)) return match;
+
+        const remaining = imports.filter(name => name !== COMPONENT_IMPORT);
+        if (remaining.length === 0) return '';
+        return `import { ${remaining.join(', ')} } from ${source}\n`;
+    });
+}
+
+function processFile(filePath) {
+    const original = fs.readFileSync(filePath, 'utf-8');
+
+    // 1. Replace renderer calls with mermaid code blocks
+    let content = original.replace(rendererRegex, (match, indent, code) => {
+        const lines = unescapeTemplate(code).trim().split('\n');
+        return [`${indent}\`\`\`mermaid`, ...lines.map(line => line && indent + line), `${indent}\`\`\``].join('\n');
+    });
+    if (content === original) return; // skip files without renderer calls
+
+    // 2. Drop the import once no renderer call is left
+    if (!new RegExp(`<${COMPONENT_IMPORT}\\b`).test(content)) {
+        content = removeImport(content).replace(/^(---[\s\S]*?---\n)\n{2,}/, '$1\n');
+    }
+
+    fs.writeFileSync(filePath, content, 'utf-8');
+    updatedFiles.push(filePath); // <-- add to updated files
+    console.log(`Updated: ${filePath}`);
+}
+
+// --- Recursively walk the docs/pages directory ---
+function walkDir(dir, ext, fileList = []) {
+    const files = fs.readdirSync(dir);
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        const stat = fs.statSync(filePath);
+        if (stat.isDirectory()) {
+            walkDir(filePath, ext, fileList);
+        } else if (filePath.endsWith(ext)) {
+            fileList.push(filePath);
+        }
+    }
+    return fileList;
+}
+
+// 3. Process the given MDX files (all of docs/pages by default)
+function run(files = walkDir(ROOT_DIR, '.mdx')) {
+    files.filter(f => fs.existsSync(f)).forEach(processFile);
+
+    console.log(`\nTotal mermaid blocks unwrapped in: ${updatedFiles.length} file(s)`);
+    updatedFiles.forEach(f => console.log(` - ${f}`));
+    updatedFiles.length = 0;
+}
+
+if (require.main === module) {
+    const files = process.argv.slice(2).map(f => path.resolve(f));
+    run(files.length > 0 ? files : undefined);
+}
+
+module.exports = { processFile, walkDir, run, rendererRegex, unescapeTemplate, ROOT_DIR };
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the pre-build steps (control catalog, tags manifest, folder indexes,
+ * contributor checks) and optionally keeps them up to date while docs/pages changes.
+ *
+ * Usage:
+ *   node utils/prebuild.js                  run every step once
+ *   node utils/prebuild.js --watch          run once, then re-run affected steps on change
+ *   node utils/prebuild.js --watch -- <cmd> same, and run <cmd> (e.g. `vocs dev`) alongside
+ *
+ * In watch mode only the steps a change affects are re-run, and only for the
+ * changed files: a page edit refreshes that page's manifest entry and rebuilds
+ * its parent folder's index.mdx. Changes to vocs.config.ts, a sidebar _meta.json
+ * or the tag taxonomy re-run the steps that depend on them in full, and so do
+ * changes to the contributor registry, role list or review intervals. The
+ * control catalog is rebuilt when a benchmark set, its schema or the taxonomy changes.
+ * The manifest context (dev routes, taxonomy, review intervals, git dates and
+ * caches) is built once and only rebuilt by those full runs of generate-tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const tagsFetcher = require('./tags-fetcher');
+const folderIndexes = require('./generate-folder-indexes');
+const { META_FILE_NAME } = require('./sidebar-generator');
+const contributorsLint = require('./contributors-lint');
+const { INTERVALS_PATH } = require('./review-status');
+const benchmarks = require('./generate-benchmarks');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DOCS_ROOT = folderIndexes.DOCS_ROOT;
+const VOCS_CONFIG_PATH = path.join(ROOT_DIR, 'vocs.config.ts');
+const TAXONOMY_PATH = path.join(DOCS_ROOT, 'config', 'tags.json');
+const CONTRIBUTOR_CONFIG_PATHS = [contributorsLint.REGISTRY_PATH, contributorsLint.ROLES_PATH];
+// Delay before handling a burst of file events (editors often write several times)
+const DEBOUNCE_MS = 150;
+
+// Context of the manifest updates. Full runs of generate-tags (after a sidebar,
+// taxonomy or review interval change) rebuild it; page updates reuse it.
+let manifestContext = null;
+
+function getManifestContext({ refresh = false } = {}) {
+  if (!manifestContext || refresh) {
+    manifestContext = tagsFetcher.createManifestContext();
+  }
+  return manifestContext;
+}
+
+// Each step can run over the whole tree, and most over a list of changed MDX files.
+const STEPS = [
+  {
+    // First, so the manifest and indexes pick up the generated catalog page
+    name: 'generate-benchmarks',
+    runAll: () => benchmarks.generateBenchmarks(),
+  },
+  {
+    name: 'generate-tags',
+    runAll: () => tagsFetcher.fetchTags(getManifestContext({ refresh: true })),
+    runFiles: (files) => tagsFetcher.updatePages(files, getManifestContext()),
+  },
+  {
+    name: 'generate-indexes',
+    runAll: () => folderIndexes.main(),
+    runFiles: (files) => folderIndexes.generateForFiles(files),
+  },
+  {
+    // Warns only: `pnpm run lint:contributors` is the failing check
+    name: 'check-contributors',
+    runAll: () => contributorsLint.reportContributors(),
+    runFiles: (files) => contributorsLint.reportContributors(files),
+  },
+];
+
+// Runs a step, reporting (not throwing) errors when `keepGoing` is set.
+function runStep(step, action, keepGoing) {
+  const startedAt = Date.now();
+  try {
+    action();
+    console.log(`[prebuild] ${step.name} done in ${Date.now() - startedAt}ms`);
+    return true;
+  } catch (error) {
+    console.error(`[prebuild] ${step.name} failed: ${error.message}`);
+    if (!keepGoing) {
+      throw error;
+    }
+    return false;
+  }
+}
+
+// Runs every step over the whole tree.
+function runAll({ keepGoing = false } = {}) {
+  STEPS.forEach((step) => runStep(step, step.runAll, keepGoing));
+}
+
+// Benchmark set files and their schema.
+function isBenchmarkSource(filePath) {
+  return filePath === benchmarks.SCHEMA_PATH || path.dirname(filePath) === benchmarks.BENCHMARKS_DIR;
+}
+
+// Decides which steps a batch of changed paths affects.
+function handleChanges(changedPaths) {
+  const mdxFiles = changedPaths.filter((filePath) => filePath.endsWith('.mdx'));
+  const fullRuns = new Set();
+
+  const isSidebarSource = (filePath) => filePath === VOCS_CONFIG_PATH || path.basename(filePath) === META_FILE_NAME;
+  if (changedPaths.some(isSidebarSource)) {
+    // Sidebar changes affect dev status in the manifest and which pages are indexed
+    fullRuns.add('generate-tags');
+    fullRuns.add('generate-indexes');
+  }
+  if (changedPaths.includes(TAXONOMY_PATH) || changedPaths.includes(INTERVALS_PATH)) {
+    fullRuns.add('generate-tags');
+  }
+  if (changedPaths.some(isBenchmarkSource) || changedPaths.includes(TAXONOMY_PATH)) {
+    // Control tags are checked against the taxonomy
+    fullRuns.add('generate-benchmarks');
+  }
+  if (changedPaths.some((filePath) => CONTRIBUTOR_CONFIG_PATHS.includes(filePath))) {
+    // Index pages list contributors by name and role
+    fullRuns.add('generate-indexes');
+    fullRuns.add('check-contributors');
+  }
+
+  STEPS.forEach((step) => {
+    if (fullRuns.has(step.name)) {
+      runStep(step, step.runAll, true);
+    } else if (mdxFiles.length > 0 && step.runFiles) {
+      runStep(step, () => step.runFiles(mdxFiles), true);
+    }
+  });
+}
+
+// Watches a directory tree. Recursive fs.watch is unavailable on Linux before
+// Node 19.1, so fall back to one watcher per existing directory there.
+function watchTree(rootDir, onChange) {
+  try {
+    return [fs.watch(rootDir, { recursive: true }, (event, fileName) => {
+      if (fileName) onChange(path.join(rootDir, fileName.toString()));
+    })];
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+    console.warn('[prebuild] Recursive watching unavailable; new folders need a restart to be watched');
+    const watchers = [];
+    const addDirectory = (dirPath) => {
+      watchers.push(fs.watch(dirPath, (event, fileName) => {
+        if (fileName) onChange(path.join(dirPath, fileName.toString()));
+      }));
+      fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach((entry) => addDirectory(path.join(dirPath, entry.name)));
+    };
+    addDirectory(rootDir);
+    return watchers;
+  }
+}
+
+// Watches docs/pages and the config files, batching events per file.
+function watch() {
+  const pending = new Set();
+  let timer = null;
+
+  const schedule = (filePath) => {
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = Array.from(pending);
+      pending.clear();
+      console.log(`[prebuild] ${changed.length} change(s): ${changed.map((f) => path.relative(ROOT_DIR, f)).join(', ')}`);
+      handleChanges(changed);
+    }, DEBOUNCE_MS);
+  };
+
+  const watchers = [
+    ...watchTree(DOCS_ROOT, (filePath) => {
+      if (filePath === TAXONOMY_PATH || filePath === INTERVALS_PATH || CONTRIBUTOR_CONFIG_PATHS.includes(filePath)
+        || isBenchmarkSource(filePath) || filePath.endsWith('.mdx') || path.basename(filePath) === META_FILE_NAME) {
+        schedule(filePath);
+      }
+    }),
+    fs.watch(VOCS_CONFIG_PATH, () => schedule(VOCS_CONFIG_PATH)),
+  ];
+
+  console.log('[prebuild] Watching docs/pages and vocs.config.ts for changes');
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
+
+// Entry point when run as a CLI script.
+function main() {
+  const args = process.argv.slice(2);
+  const separator = args.indexOf('--');
+  const command = separator === -1 ? [] : args.slice(separator + 1);
+  const isWatch = args.slice(0, separator === -1 ? args.length : separator).includes('--watch');
+
+  try {
+    runAll({ keepGoing: isWatch });
+  } catch (error) {
+    process.exit(1);
+  }
+
+  if (!isWatch) {
+    return;
+  }
+
+  const stopWatching = watch();
+  if (command.length === 0) {
+    return;
+  }
+
+  // Run the dev server alongside the watcher and exit together with it
+  const child = childProcess.spawn(command[0], command.slice(1), {
+    cwd: ROOT_DIR,
+    stdio: 'inherit',
+    shell: process.platform === 'win32',
+  });
+  child.on('exit', (code) => {
+    stopWatching();
+    process.exit(code === null ? 1 : code);
+  });
+  ['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, () => child.kill(signal));
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  STEPS,
+  runAll,
+  handleChanges,
+  watch,
+};
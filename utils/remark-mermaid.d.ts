@@ -0,0 +1,4 @@
+import type { Plugin } from 'unified'
+
+declare const remarkMermaid: Plugin<[{ prerender?: boolean }?]>
+export default remarkMermaid
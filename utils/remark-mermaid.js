@@ -0,0 +1,170 @@
+/**
+ * Remark plugin that renders ```mermaid fences with <MermaidRenderer />.
+ *
+ * It runs while Vocs compiles each page (see `markdown.remarkPlugins` in
+ * vocs.config.ts), so authors keep plain mermaid fences in docs/pages and
+ * the source files are never rewritten. The component import is added to
+ * the compiled page only when the page contains a diagram.
+ *
+ * The diagrams are also rendered to light and dark SVGs at build time (see
+ * utils/mermaid-prerender.js) and inlined. A diagram that does not parse
+ * fails the build, with or without pre-rendering. Pass `{ prerender: false }`
+ * to only check the diagrams and emit the component.
+ */
+
+const path = require('path');
+const { checkDiagramSyntax, prerenderDiagrams, MermaidSyntaxError } = require('./mermaid-prerender');
+
+const COMPONENT_NAME = 'MermaidRenderer';
+const COMPONENTS_DIR = path.join(__dirname, '..', 'components');
+const DOCS_ROOT = path.join(__dirname, '..', 'docs', 'pages');
+
+// Collects every mermaid code node together with its parent and position.
+function collectMermaidBlocks(node, blocks = []) {
+  if (!Array.isArray(node.children)) {
+    return blocks;
+  }
+  node.children.forEach((child, index) => {
+    if (child.type === 'code' && child.lang === 'mermaid') {
+      blocks.push({ node: child, parent: node, index });
+    } else {
+      collectMermaidBlocks(child, blocks);
+    }
+  });
+  return blocks;
+}
+
+// Turns text into a lowercase, dash-separated id fragment.
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Reads an explicit id from the fence meta: ```mermaid id="staking-flow"
+function getMetaId(meta) {
+  const match = (meta || '').match(/(?:^|\s)id=(?:"([^"]+)"|'([^']+)'|(\S+))/);
+  return match ? slugify(match[1] || match[2] || match[3]) : '';
+}
+
+// Returns a stable diagram id built from the page path and the block's
+// position on the page, e.g. "mermaid-incident-management-playbooks-overview-2".
+// The same id is used as the permalink anchor of the diagram.
+function getDiagramId(filePath, blockIndex, meta) {
+  const metaId = getMetaId(meta);
+  if (metaId) {
+    return `mermaid-${metaId}`;
+  }
+  const relativePath = filePath ? path.relative(DOCS_ROOT, filePath).replace(/\.mdx?$/, '') : '';
+  const pageSlug = slugify(relativePath);
+  return pageSlug ? `mermaid-${pageSlug}-${blockIndex + 1}` : `mermaid-${blockIndex + 1}`;
+}
+
+// Tests whether the page already imports the component itself.
+function hasComponentImport(tree) {
+  const pattern = new RegExp(`\\b${COMPONENT_NAME}\\b`);
+  return tree.children.some((node) => node.type === 'mdxjsEsm' && pattern.test(node.value));
+}
+
+// Returns the components folder relative to the compiled file.
+function getImportPath(filePath) {
+  if (!filePath) {
+    return COMPONENTS_DIR.replace(/\\/g, '/');
+  }
+  const relativePath = path.relative(path.dirname(filePath), COMPONENTS_DIR).replace(/\\/g, '/');
+  return relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+}
+
+// Builds the `import { MermaidRenderer } from '...'` node, including the
+// estree the MDX compiler reads instead of the raw value.
+function createImportNode(importPath) {
+  const identifier = { type: 'Identifier', name: COMPONENT_NAME };
+  return {
+    type: 'mdxjsEsm',
+    value: `import { ${COMPONENT_NAME} } from '${importPath}'`,
+    data: {
+      estree: {
+        type: 'Program',
+        sourceType: 'module',
+        body: [
+          {
+            type: 'ImportDeclaration',
+            specifiers: [{ type: 'ImportSpecifier', imported: identifier, local: { ...identifier } }],
+            source: { type: 'Literal', value: importPath, raw: JSON.stringify(importPath) },
+          },
+        ],
+      },
+    },
+  };
+}
+
+// Builds the `<MermaidRenderer id="..." code="..." />` node, with the
+// pre-rendered SVGs when there are any.
+function createRendererNode(code, id, svgs) {
+  const attributes = [
+    { type: 'mdxJsxAttribute', name: 'id', value: id },
+    { type: 'mdxJsxAttribute', name: 'code', value: code },
+  ];
+  if (svgs) {
+    attributes.push(
+      { type: 'mdxJsxAttribute', name: 'svgLight', value: svgs.light },
+      { type: 'mdxJsxAttribute', name: 'svgDark', value: svgs.dark },
+    );
+  }
+  return {
+    type: 'mdxJsxFlowElement',
+    name: COMPONENT_NAME,
+    attributes,
+    children: [],
+  };
+}
+
+function remarkMermaid({ prerender = true } = {}) {
+  return async (tree, file) => {
+    const blocks = collectMermaidBlocks(tree);
+    if (blocks.length === 0) {
+      return;
+    }
+
+    const filePath = file && file.path;
+    const usedIds = new Set();
+    const diagrams = blocks.map((block, blockIndex) => {
+      const baseId = getDiagramId(filePath, blockIndex, block.node.meta);
+      let id = baseId;
+      // Explicit ids could repeat on a page; keep every anchor unique
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+      usedIds.add(id);
+      return { ...block, id, code: block.node.value };
+    });
+
+    let rendered = null;
+    const sources = diagrams.map(({ id, code }) => ({ id, code }));
+    try {
+      await checkDiagramSyntax(sources);
+      if (prerender) {
+        rendered = await prerenderDiagrams(sources);
+      }
+    } catch (error) {
+      if (!(error instanceof MermaidSyntaxError)) {
+        throw error;
+      }
+      const diagram = diagrams.find(({ id }) => id === error.diagramId);
+      file.fail(`Invalid mermaid diagram: ${error.message}`, diagram && diagram.node);
+    }
+
+    diagrams.forEach(({ parent, index, id, code }) => {
+      parent.children[index] = createRendererNode(code, id, rendered && rendered[id]);
+    });
+
+    if (!hasComponentImport(tree)) {
+      tree.children.unshift(createImportNode(getImportPath(filePath)));
+    }
+  };
+}
+
+module.exports = remarkMermaid;
+module.exports.collectMermaidBlocks = collectMermaidBlocks;
+module.exports.getDiagramId = getDiagramId;
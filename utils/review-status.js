@@ -0,0 +1,164 @@
+/**
+ * Review freshness of the pages, recorded in the page manifest.
+ *
+ * A page was last reviewed on the latest `date` of its `reviewed` and
+ * `fact-checked` contributor entries:
+ *
+ *   contributors:
+ *     - role: reviewed
+ *       users: [fredriksvantes]
+ *       date: 2025-06-01
+ *
+ * Without a date it is read from git history: the oldest commit since which
+ * the page has listed its current reviewers. That is when the reviewers were
+ * listed, not when they reviewed, and a page whose reviewers are not committed
+ * yet has no date (never reviewed). A shallow clone lacks that history, so its
+ * pages get no git date either (CI checks out with `fetch-depth: 0`).
+ *
+ * Each framework (top-level folder) is due for review every
+ * `frameworks[folder]` months of docs/pages/config/review-intervals.json, or
+ * every `defaultMonths`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const { parseFrontmatter, normalizeContributors } = require('./frontmatter');
+
+const INTERVALS_PATH = path.join(__dirname, '..', 'docs', 'pages', 'config', 'review-intervals.json');
+// Roles whose people vouch for a page.
+const REVIEW_ROLES = ['reviewed', 'fact-checked'];
+// Revisions of a page read from git when looking for its review date.
+const MAX_GIT_REVISIONS = 50;
+// Whether the shallow clone warning was printed (once per run)
+let shallowWarned = false;
+
+// Reads the review intervals, checking that every interval is a positive number of months.
+function loadReviewIntervals(intervalsPath = INTERVALS_PATH) {
+  const intervals = JSON.parse(fs.readFileSync(intervalsPath, 'utf-8'));
+  const frameworks = intervals.frameworks || {};
+  const invalid = Object.entries({ defaultMonths: intervals.defaultMonths, ...frameworks })
+    .filter(([, months]) => !(Number.isInteger(months) && months > 0))
+    .map(([name]) => name);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid review interval(s) in ${intervalsPath} (expected whole months): ${invalid.join(', ')}`);
+  }
+  return { defaultMonths: intervals.defaultMonths, frameworks };
+}
+
+// Months between reviews of the pages in a top-level folder.
+function getReviewInterval(section, intervals) {
+  return intervals.frameworks[section] || intervals.defaultMonths;
+}
+
+// Sorted slugs of everyone who reviewed or fact-checked a page.
+function listReviewers(contributors) {
+  const reviewers = contributors
+    .filter((group) => REVIEW_ROLES.includes(group.role))
+    .flatMap((group) => group.users);
+  return [...new Set(reviewers)].sort();
+}
+
+// `2025-06-01` for a valid frontmatter date (a YAML date or a string), else null.
+function toReviewDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// Latest `date` of the review entries of a page, or null.
+function readFrontmatterReviewDate(contributors) {
+  const dates = contributors
+    .filter((group) => REVIEW_ROLES.includes(group.role) && group.users.length > 0)
+    .map((group) => toReviewDate(group.date))
+    .filter(Boolean)
+    .sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+// Runs git and returns its output, or null when git (or the history) is unavailable.
+function git(args, cwd) {
+  try {
+    return childProcess.execFileSync('git', args, {
+      cwd,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 16 * 1024 * 1024,
+    }).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Date of the oldest commit since which the page has listed the same reviewers,
+// or null when the current reviewers are not committed yet or the clone is
+// shallow (its oldest commit would pass for the review date).
+function readGitReviewDate(filePath, reviewers) {
+  const directory = path.dirname(path.resolve(filePath));
+  const root = (git(['rev-parse', '--show-toplevel'], directory) || '').trim();
+  if (!root) return null;
+  if ((git(['rev-parse', '--is-shallow-repository'], directory) || '').trim() === 'true') {
+    if (!shallowWarned) {
+      console.warn('Shallow git clone: review dates without a frontmatter `date` are left empty (fetch the full history to read them)');
+      shallowWarned = true;
+    }
+    return null;
+  }
+  const log = git(
+    ['log', '--follow', `--max-count=${MAX_GIT_REVISIONS}`, '--format=%x00%H %cI', '--name-only', '--', path.resolve(filePath)],
+    directory,
+  );
+  if (log === null) return null;
+
+  const expected = reviewers.join(',');
+  let reviewDate = null;
+  const revisions = log.split('\0').filter(Boolean).map((block) => {
+    const [header, ...files] = block.trim().split('\n').filter(Boolean);
+    const [sha, date] = header.split(' ');
+    return { sha, date, file: files[files.length - 1] };
+  });
+  for (const revision of revisions) {
+    const content = revision.file && git(['show', `${revision.sha}:${revision.file}`], root);
+    if (content === null) break;
+    let contributors = [];
+    try {
+      contributors = normalizeContributors(parseFrontmatter(content).contributors);
+    } catch (error) {
+      break;
+    }
+    if (listReviewers(contributors).join(',') !== expected) break;
+    reviewDate = revision.date.slice(0, 10);
+  }
+  return reviewDate;
+}
+
+/**
+ * Review information of a page for the manifest.
+ * @param {string} filePath - The MDX file of the page
+ * @param {Array<{ role: string, users: string[], date?: string }>} contributors - Normalized contributors
+ * @param {string} section - The top-level folder of the page ('' at the root)
+ * @param {{ defaultMonths: number, frameworks: Record<string, number> }} intervals
+ * @returns {{ lastReviewed: string|null, source: 'frontmatter'|'git'|null, intervalMonths: number }}
+ */
+function getReviewInfo(filePath, contributors, section, intervals) {
+  const intervalMonths = getReviewInterval(section, intervals);
+  const reviewers = listReviewers(contributors);
+  if (reviewers.length === 0) {
+    return { lastReviewed: null, source: null, intervalMonths };
+  }
+
+  const frontmatterDate = readFrontmatterReviewDate(contributors);
+  if (frontmatterDate) {
+    return { lastReviewed: frontmatterDate, source: 'frontmatter', intervalMonths };
+  }
+  const gitDate = readGitReviewDate(filePath, reviewers);
+  return { lastReviewed: gitDate, source: gitDate ? 'git' : null, intervalMonths };
+}
+
+module.exports = {
+  INTERVALS_PATH,
+  REVIEW_ROLES,
+  getReviewInfo,
+  getReviewInterval,
+  loadReviewIntervals,
+  toReviewDate,
+};
@@ -0,0 +1,242 @@
+/**
+ * Builds the vector file of the hybrid (keyword + similarity) search.
+ *
+ * The sections extracted by utils/searchbar-indexing.js are split into
+ * overlapping chunks and embedded with a local model when one is configured,
+ * or with the deterministic hashing embedding of
+ * components/search/textEmbedding.ts otherwise. Nothing is downloaded at
+ * build time, and the same input always gives the same vectors.
+ *
+ * The hashing embedding is lexical only: it brings together texts that share
+ * words, word forms and spellings, so `signers` finds `signer`, but a question
+ * like "a signer's laptop is stolen" does not find the key compromise pages.
+ * Matching by meaning needs a model, and none ships with the repository, so
+ * the published site (docs:build and the publish workflow) has no vectors and
+ * searches by keywords. Run `pnpm run search:embeddings` after a build to add
+ * them.
+ *
+ * A model is a transformers.js model directory (config.json, the tokenizer
+ * files and onnx/model_quantized.onnx, e.g. a copy of Xenova/all-MiniLM-L6-v2)
+ * passed with --embeddings-model <dir> or SEARCH_EMBEDDINGS_MODEL. The model
+ * files, the browser build of @huggingface/transformers and its ONNX Runtime
+ * WebAssembly files are copied next to the vectors, so the browser embeds
+ * queries with the same model without loading anything from another host.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VECTORS_FILE_NAME = 'search-vectors.json';
+const VECTORS_FORMAT_VERSION = 1;
+const TEXT_EMBEDDING_PATH = path.join(__dirname, '..', 'components', 'search', 'textEmbedding.ts');
+// Words per chunk, and words repeated from the previous chunk so ideas are not cut in half
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+const MODEL_BATCH_SIZE = 32;
+// Files the browser needs to run a transformers.js model
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'special_tokens_map.json', 'onnx/model_quantized.onnx'];
+// Browser build of transformers.js (it bundles the JavaScript of ONNX Runtime Web)
+const RUNTIME_LIBRARY = 'transformers.min.js';
+// WebAssembly backend of ONNX Runtime Web that transformers.js loads by default
+const RUNTIME_WASM_FILES = { mjs: 'ort-wasm-simd-threaded.asyncify.mjs', wasm: 'ort-wasm-simd-threaded.asyncify.wasm' };
+
+// Loads the TypeScript embedding shared with the client (compiled with esbuild).
+function loadTextEmbedding() {
+  const { transformSync } = require('esbuild');
+  const { code } = transformSync(fs.readFileSync(TEXT_EMBEDDING_PATH, 'utf8'), {
+    loader: 'ts',
+    format: 'cjs',
+    sourcefile: TEXT_EMBEDDING_PATH,
+  });
+  const textModule = { exports: {} };
+  new Function('module', 'exports', code)(textModule, textModule.exports);
+  return textModule.exports;
+}
+
+// Splits each section into chunks of text prefixed with the headings above it.
+function chunkDocuments(documents) {
+  const chunks = [];
+  documents.forEach((doc) => {
+    const context = [doc.pageTitle, ...(doc.titles || []), doc.title].filter(Boolean);
+    const heading = [...new Set(context)].join(' › ');
+    const words = (doc.text || '').split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      chunks.push({ id: doc.id, text: heading });
+      return;
+    }
+    for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+      chunks.push({ id: doc.id, text: `${heading}\n${words.slice(start, start + CHUNK_WORDS).join(' ')}` });
+      if (start + CHUNK_WORDS >= words.length) break;
+    }
+  });
+  return chunks;
+}
+
+// Deterministic embedder, always available.
+function createHashingEmbedder() {
+  const { HASHING_MODEL, HASHING_DIMENSIONS, hashingEmbedding } = loadTextEmbedding();
+  return {
+    model: HASHING_MODEL,
+    dimensions: HASHING_DIMENSIONS,
+    embed: async (texts) => texts.map((text) => hashingEmbedding(text, HASHING_DIMENSIONS)),
+  };
+}
+
+// Embedder backed by a local transformers.js model; throws when it cannot be loaded.
+async function createModelEmbedder(modelDir) {
+  const absoluteDir = path.resolve(modelDir);
+  if (!fs.existsSync(path.join(absoluteDir, 'config.json'))) {
+    throw new Error(`no model found in ${absoluteDir}`);
+  }
+  const transformers = await import('@huggingface/transformers');
+  // Only read the model from disk
+  transformers.env.allowRemoteModels = false;
+  transformers.env.localModelPath = `${path.dirname(absoluteDir)}${path.sep}`;
+
+  const name = path.basename(absoluteDir);
+  const extractor = await transformers.pipeline('feature-extraction', name, { dtype: 'q8' });
+  const embed = async (texts) => {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += MODEL_BATCH_SIZE) {
+      const output = await extractor(texts.slice(i, i + MODEL_BATCH_SIZE), { pooling: 'mean', normalize: true });
+      vectors.push(...output.tolist());
+    }
+    return vectors;
+  };
+  const [probe] = await embed(['dimensions']);
+  return {
+    model: name,
+    dimensions: probe.length,
+    embed,
+    modelDir: absoluteDir,
+  };
+}
+
+// Picks the model embedder when configured and loadable, else the hashing one.
+async function resolveEmbedder(modelDir) {
+  if (modelDir) {
+    try {
+      return await createModelEmbedder(modelDir);
+    } catch (error) {
+      console.warn(`Embedding model unavailable (${error.message}); using the deterministic hashing embedding`);
+    }
+  }
+  return createHashingEmbedder();
+}
+
+// Stores unit vectors as signed bytes (cosine similarity survives the rounding).
+function quantize(vectors, dimensions) {
+  const bytes = new Int8Array(vectors.length * dimensions);
+  vectors.forEach((vector, i) => {
+    for (let d = 0; d < dimensions; d++) {
+      bytes[i * dimensions + d] = Math.max(-127, Math.min(127, Math.round(vector[d] * 127)));
+    }
+  });
+  return Buffer.from(bytes.buffer).toString('base64');
+}
+
+// URL path of a file written below the output directory, which sits at the root of the site (e.g. /.vocs).
+function toSitePath(outDir, filePath) {
+  return `/${path.relative(path.dirname(outDir), filePath).split(path.sep).join('/')}`;
+}
+
+// Copies the model files the browser needs next to the vectors and returns their URL path.
+function publishModel(embedder, outDir) {
+  const target = path.join(outDir, 'embeddings', embedder.model);
+  MODEL_FILES.forEach((file) => {
+    const source = path.join(embedder.modelDir, file);
+    if (!fs.existsSync(source)) return;
+    fs.mkdirSync(path.dirname(path.join(target, file)), { recursive: true });
+    fs.copyFileSync(source, path.join(target, file));
+  });
+  return `${toSitePath(outDir, path.dirname(target))}/`;
+}
+
+// Copies transformers.js and the ONNX Runtime WebAssembly files from node_modules
+// next to the vectors and returns the URL paths the browser loads them from.
+function publishRuntime(outDir) {
+  // Both packages resolve to a file in their dist/ folder (package.json is not exported)
+  const transformersDist = path.dirname(require.resolve('@huggingface/transformers'));
+  // onnxruntime-web is a dependency of transformers.js, so it is resolved from there
+  const onnxDist = path.dirname(require.resolve('onnxruntime-web', { paths: [transformersDist] }));
+  const target = path.join(outDir, 'embeddings', 'runtime');
+  fs.mkdirSync(target, { recursive: true });
+  fs.copyFileSync(path.join(transformersDist, RUNTIME_LIBRARY), path.join(target, RUNTIME_LIBRARY));
+  const wasmPaths = {};
+  Object.entries(RUNTIME_WASM_FILES).forEach(([kind, file]) => {
+    fs.copyFileSync(path.join(onnxDist, file), path.join(target, file));
+    wasmPaths[kind] = toSitePath(outDir, path.join(target, file));
+  });
+  return { library: toSitePath(outDir, path.join(target, RUNTIME_LIBRARY)), wasmPaths };
+}
+
+/**
+ * Embed the search documents and write `search-vectors.json` to `outDir`.
+ * @param {Array} documents - Sections with `id`, `text`, `title`, `titles` and `pageTitle`
+ * @param {string} outDir - Directory of the search indexes (e.g. docs/dist/.vocs)
+ * @param {object} [options]
+ * @param {string} [options.modelDir] - Local transformers.js model directory
+ */
+async function writeEmbeddings(documents, outDir, { modelDir } = {}) {
+  removeEmbeddings(outDir);
+  const embedder = await resolveEmbedder(modelDir);
+  const chunks = chunkDocuments(documents);
+  const vectors = await embedder.embed(chunks.map((chunk) => chunk.text));
+
+  const payload = {
+    version: VECTORS_FORMAT_VERSION,
+    model: embedder.model,
+    dimensions: embedder.dimensions,
+    ids: chunks.map((chunk) => chunk.id),
+    vectors: quantize(vectors, embedder.dimensions),
+  };
+  if (embedder.modelDir) {
+    payload.runtime = {
+      ...publishRuntime(outDir),
+      modelPath: publishModel(embedder, outDir),
+    };
+  }
+
+  const target = path.join(outDir, VECTORS_FILE_NAME);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(payload));
+  console.log(`Search vectors written (${chunks.length} chunks, ${embedder.model}): ${target}`);
+  return payload;
+}
+
+// Deletes the vector file and the copied model and runtime of an earlier run,
+// so an index rebuilt without embeddings is not paired with stale vectors.
+function removeEmbeddings(outDir) {
+  fs.rmSync(path.join(outDir, VECTORS_FILE_NAME), { force: true });
+  fs.rmSync(path.join(outDir, 'embeddings'), { recursive: true, force: true });
+}
+
+// Reads a vector file back into `{ model, dimensions, ids, vectors: Int8Array }`.
+function readEmbeddings(filePath) {
+  const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const buffer = Buffer.from(payload.vectors, 'base64');
+  return { ...payload, vectors: new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length) };
+}
+
+// Ranks the chunk ids of a vector file by cosine similarity to a query vector.
+function rankBySimilarity(embeddings, queryVector, limit = 10) {
+  const { dimensions, ids, vectors } = embeddings;
+  const best = new Map();
+  ids.forEach((id, i) => {
+    let score = 0;
+    for (let d = 0; d < dimensions; d++) score += vectors[i * dimensions + d] * queryVector[d];
+    score /= 127;
+    if (!best.has(id) || best.get(id) < score) best.set(id, score);
+  });
+  return [...best.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+}
+
+module.exports = {
+  VECTORS_FILE_NAME,
+  chunkDocuments,
+  loadTextEmbedding,
+  readEmbeddings,
+  rankBySimilarity,
+  removeEmbeddings,
+  writeEmbeddings,
+};
@@ -7,40 +7,84 @@
   What it does
   - Builds a MiniSearch index **only** from the files listed in the sidebar (i.e., the ones
     we explicitly want indexed).
-  - Respects branch-based filtering: on main branch, excludes pages marked with dev: true
-    (matching the sidebar filtering logic in vocs.config.ts).
+  - Respects branch-based filtering: on production branches, excludes pages marked with dev: true
+    (resolved by utils/sidebar.js, like the sidebar in vocs.config.ts).
   - Parses MDX files as plain text, extracting headings and content.
   - Generates a clean search index that includes all pages — even those with imports.
   - After the build, it overwrites Vocs' generated `search-index-<hash>.json`
-    with our patched version in the appropriate Cloudflare Pages output directory.
+    with our patched version in one output directory (see "Usage").
 
   High-level flow
-  1) Check branch via CF_PAGES_BRANCH or VERCEL_GIT_COMMIT_REF (main vs develop/other).
-  2) Locate the generated search index file by scanning common output paths:
-     - dist/.vocs                             (Cloudflare Pages build output)
-     - .vercel/output/static/.vocs            (Vercel build output)
-     - /vercel/path0/docs/dist/.vocs          (Vercel build environment path)
-     - docs/dist/.vocs                        (local build output)
-  3) Parse vocs.config.ts sidebar to collect allowed routes (excluding dev: true on main).
-  4) Walk docs/pages and extract sections using markdown headings (#, ##, etc.).
-  5) Filter to only allowed routes and build a MiniSearch index (code tags stripped).
-  6) Overwrite the found `search-index-<hash>.json` and mirror it across other .vocs dirs.
+  1) Resolve the branch (CF_PAGES_BRANCH or VERCEL_GIT_COMMIT_REF; main vs develop/other).
+  2) Resolve the output directory: --out-dir, else SEARCH_INDEX_OUT_DIR, else the `.vocs`
+     directory of the Vocs build (`<rootDir>/<outDir>` of vocs.config.ts, i.e. docs/dist/.vocs).
+  3) Load the vocs.config.ts sidebar to collect allowed routes (excluding dev: true on main).
+  4) Walk docs/pages and extract sections using the markdown headings of the parsed MDX
+     (headings inside code fences are ignored). Anchors are built like the rendered site
+     builds heading IDs (rehype-slug / github-slugger, with -1, -2 for repeated headings).
+  5) Filter to only allowed routes and build a MiniSearch index. The text is the prose of the
+     parsed MDX (plus readable props of known components such as <BenchmarkList>); imports,
+     {expressions} and JSX props are left out and code blocks go to a separate `code` field.
+  6) Overwrite the `search-index-<hash>.json` found there (or write `search-index.json` with --standalone).
+  7) Write a second, faceted index (`search-facets.json`) next to it. Each section also carries
+     its page's frontmatter title, tags, section and dev status from utils/pages-manifest.json,
+     which the <FacetedSearch /> component uses for `tag:` and `section:` filters.
+  8) Verify every indexed anchor exists in the built HTML (pass --strict to fail on mismatches).
+  9) With --embeddings, write `search-vectors.json`: the same sections embedded for similarity
+     ranking (see utils/search-embeddings.js). Without a model the vectors are lexical only:
+     they match similar words and spellings, not meaning. Without --embeddings, vectors left
+     by an earlier run are deleted.
+
+  Usage
+    node utils/searchbar-indexing.js                       patch the index of the Vocs build
+    node utils/searchbar-indexing.js --out-dir <dir>       patch the index in another .vocs directory
+    node utils/searchbar-indexing.js --standalone          write search-index.json and search-facets.json
+                                                           without a Vocs build (e.g. for self-hosting)
+    node utils/searchbar-indexing.js --verify [--query q]  load the written indexes with MiniSearch and
+                                                           run sample queries; exits 1 on failure
+    Add --embeddings (or --embeddings-model <dir>) to also write the vectors of the hybrid search
+    (pnpm run search:embeddings does this after a build; it is not part of docs:build).
 */
 
 const fs = require('fs');
 const path = require('path');
-const matter = require('gray-matter');
+const { parseArgs } = require('util');
+const { parseMdx } = require('./frontmatter');
 const MiniSearch = require('minisearch');
+const { getAllowedRoutes, isProductionBranch, loadSidebar, loadVocsConfig, resolveBranch } = require('./sidebar');
+const {
+  VECTORS_FILE_NAME, loadTextEmbedding, readEmbeddings, rankBySimilarity, removeEmbeddings, writeEmbeddings,
+} = require('./search-embeddings');
 
 const workspaceRoot = process.cwd();
 const pagesDir = path.join(workspaceRoot, 'docs', 'pages');
-const distVocsDir = path.join(workspaceRoot, 'docs', 'dist', '.vocs');
-const cfPagesDistVocsDir = path.join(workspaceRoot, 'dist', '.vocs');
-const cfPagesStaticDir = path.join(workspaceRoot, 'dist');
-const vercelVocsDir = path.join(workspaceRoot, '.vercel', 'output', 'static', '.vocs');
-const vercelPath0DistVocsDir = '/vercel/path0/docs/dist/.vocs';
-const vercelStaticDir = path.join(workspaceRoot, '.vercel', 'output', 'static');
 const vocsConfigPath = path.join(workspaceRoot, 'vocs.config.ts');
+const pagesManifestPath = path.join(workspaceRoot, 'utils', 'pages-manifest.json');
+const facetsFileName = 'search-facets.json';
+const standaloneIndexFileName = 'search-index.json';
+
+// Options the Vocs search box loads its index with (vocs/_lib/app/hooks/useSearchIndex.js)
+const vocsIndexOptions = {
+  fields: ['title', 'titles', 'text'],
+  storeFields: ['href', 'html', 'isPage', 'text', 'title', 'titles'],
+  searchOptions: {
+    boost: { title: 4, text: 2, titles: 1 },
+    fuzzy: 0.2,
+    prefix: true,
+  },
+};
+
+// Options of the faceted index; shipped inside the payload so the client loads it the same way
+const facetIndexOptions = {
+  // `code` (code blocks, diagrams) is searchable but ranked below prose and not stored
+  fields: ['title', 'pageTitle', 'titles', 'tags', 'section', 'text', 'code'],
+  storeFields: ['href', 'isPage', 'title', 'pageTitle', 'titles', 'tags', 'section', 'dev', 'text'],
+  searchOptions: {
+    boost: { title: 4, pageTitle: 4, tags: 3, section: 2, text: 1, titles: 1, code: 0.2 },
+    prefix: true,
+    fuzzy: 0.2,
+  },
+};
 
 function walkFiles(dir, out = []) {
   // Recursively collect .mdx files
@@ -52,21 +96,21 @@ function walkFiles(dir, out = []) {
   return out;
 }
 
-function slugify(input) {
-  // Minimal slug generator for anchor fragments derived from headings
-  return String(input)
-    .trim()
-    .toLowerCase()
-    .replace(/&/g, 'and')
-    .replace(/[^a-z0-9\s\-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/\-+/g, '-')
-    .replace(/^\-|\-$/g, '');
-}
-
-function removeFences(str) {
-  // Remove fenced code blocks’ opening lines to avoid dense token noise
-  return str.replace(/^```.*$/gm, '').replace(/^~~~.*$/gm, '');
+async function loadMarkdownTools() {
+  // The remark packages are ESM-only, so they are loaded on demand
+  const [{ unified }, { default: remarkParse }, { default: remarkMdx }, { default: remarkGfm },
+    { default: remarkDirective }, { toString }, { default: GithubSlugger }] = await Promise.all([
+    import('unified'),
+    import('remark-parse'),
+    import('remark-mdx'),
+    import('remark-gfm'),
+    import('remark-directive'),
+    import('mdast-util-to-string'),
+    import('github-slugger'),
+  ]);
+  // Same syntax extensions Vocs compiles pages with, so headings are found in the same places
+  const processor = unified().use(remarkParse).use(remarkMdx).use(remarkGfm).use(remarkDirective);
+  return { processor, toString, GithubSlugger };
 }
 
 function normalizeSlashes(p) {
@@ -81,108 +125,284 @@ function computeHref(filePath) {
   return `/${noIndex}`;
 }
 
-function extractSectionsFromMdx(raw) {
-  // Parse frontmatter, then split content into sections by ATX headings
-  const { content } = matter(raw);
-  const lines = content.split(/\r?\n/);
-
-  const sections = [];
-  let current = null;
-  let parentTitles = [];
-
-  for (const line of lines) {
-    const m = /^(#{1,6})\s+(.*)$/.exec(line);
-    if (m) {
-      // Emit previously collected section before starting a new heading
-      if (current) sections.push(current);
-
-      const level = m[1].length;
-      const title = m[2].trim();
-      const anchor = slugify(title);
-
-      const titles = parentTitles.slice(0, level - 1);
-      titles[level - 1] = title;
-      parentTitles = titles.slice();
-
-      current = {
-        level,
-        title,
-        anchor,
-        titles: titles.slice(0, -1),
-        chunks: [],
-      };
-    } else {
-      if (!current) continue; // ignore text until first heading
-      current.chunks.push(line);
+// Props of known components whose strings are shown to readers, by prop name.
+// The listed keys are read from object/array props (e.g. benchmarks={[{ title }]}).
+const componentTextProps = {
+  BenchmarkList: { benchmarks: ['title', 'description', 'rationale', 'verification', 'evidence'] },
+};
+// Props holding code rather than prose
+const componentCodeProps = {
+  MermaidRenderer: ['code'],
+};
+
+function collectEstreeStrings(node, keys, out, underKey = false) {
+  // Collect string literals found under the allowed object keys of a prop expression
+  if (!node || typeof node !== 'object') return out;
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectEstreeStrings(child, keys, out, underKey));
+    return out;
+  }
+  if (node.type === 'Property') {
+    const key = node.key && (node.key.name || node.key.value);
+    collectEstreeStrings(node.value, keys, out, keys.includes(key));
+    return out;
+  }
+  if (underKey && node.type === 'Literal' && typeof node.value === 'string') {
+    out.push(node.value);
+  } else if (underKey && node.type === 'TemplateLiteral') {
+    out.push(node.quasis.map((q) => q.value.cooked).join(' '));
+  }
+  for (const [field, child] of Object.entries(node)) {
+    if (field !== 'loc' && field !== 'range' && child && typeof child === 'object') {
+      collectEstreeStrings(child, keys, out, underKey);
     }
   }
+  return out;
+}
 
-  if (current) sections.push(current);
-
-  return sections.map((s, idx) => {
-    const text = removeFences(s.chunks.join('\n'))
-      .replace(/<[^>]*>/g, '')
-      .trim();
-    return {
-      anchor: s.anchor,
-      title: s.title,
-      titles: s.titles,
-      isPage: idx === 0,
-      text,
-    };
-  });
+function componentStrings(node) {
+  // Strings of the configured props of a JSX element, as { text, code }
+  const text = [];
+  const code = [];
+  const textProps = componentTextProps[node.name] || {};
+  const codeProps = componentCodeProps[node.name] || [];
+  for (const attribute of node.attributes || []) {
+    if (attribute.type !== 'mdxJsxAttribute') continue;
+    const isCode = codeProps.includes(attribute.name);
+    const keys = textProps[attribute.name];
+    if (!isCode && !keys) continue;
+
+    const value = attribute.value;
+    const strings = typeof value === 'string'
+      ? [value]
+      : value && value.data && value.data.estree
+        // Code props are read whole; prose props only under their listed keys
+        ? collectEstreeStrings(value.data.estree, keys || [], [], isCode)
+        : [];
+    (isCode ? code : text).push(...strings);
+  }
+  return { text, code };
 }
 
-async function main() {
-  // Determine where the built search index exists (try Cloudflare Pages dist, Vercel output, docs/dist)
-  // Try these directories in order; pick the first that contains the index
-  const candidateDirs = [cfPagesDistVocsDir, vercelVocsDir, vercelPath0DistVocsDir, distVocsDir];
+function phrasingText(node) {
+  // Readable text of inline content, skipping {expressions}
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image') return node.alt || '';
+  if (node.type === 'break') return ' ';
+  if (node.type === 'mdxTextExpression' || node.type === 'mdxjsEsm') return '';
+  let text = '';
+  if (node.type === 'mdxJsxTextElement') {
+    text += componentStrings(node).text.join(' ');
+  }
+  return text + (node.children || []).map(phrasingText).join('');
+}
 
-  let baseDirForIndex = undefined;
-  let fileName = undefined;
+function extractSectionsFromMdx(raw, tools) {
+  // Parse frontmatter and MDX, then collect the prose and code of each heading's section
+  const { content } = parseMdx(raw);
+  const tree = tools.processor.parse(content);
+  // rehype-slug uses one slugger per page, which adds -1, -2 to repeated headings
+  const slugger = new tools.GithubSlugger();
 
-  for (const dir of candidateDirs) {
-    try {
-      if (!fs.existsSync(dir)) {
-        console.log(`Listing skipped (not found): ${dir}`);
-        continue;
+  const sections = [];
+  let current = null;
+  let parentTitles = [];
+
+  const addText = (value) => {
+    if (current && value && value.trim()) current.text.push(value);
+  };
+  const addCode = (value) => {
+    if (current && value && value.trim()) current.code.push(value);
+  };
+
+  const walk = (node) => {
+    switch (node.type) {
+      case 'heading': {
+        const level = node.depth;
+        const title = tools.toString(node).trim();
+        const titles = parentTitles.slice(0, level - 1);
+        titles[level - 1] = title;
+        parentTitles = titles.slice();
+        current = {
+          anchor: slugger.slug(tools.toString(node)),
+          title,
+          titles: titles.slice(0, -1),
+          text: [],
+          code: [],
+        };
+        sections.push(current);
+        return;
       }
-      const items = fs.readdirSync(dir);
-      console.log(`Listing ${dir}:`, items);
-      const candidates = items.filter((f) => /^search-index-.*\.json$/i.test(f)).sort();
-      if (candidates.length > 0) {
-        baseDirForIndex = dir;
-        fileName = candidates[0];
+      case 'code':
+        addCode(node.value);
+        return;
+      case 'paragraph':
+      case 'tableCell':
+        addText(phrasingText(node));
+        return;
+      // import/export statements and {expressions} are code, not prose
+      case 'mdxjsEsm':
+      case 'mdxFlowExpression':
+      case 'html':
+        return;
+      case 'mdxJsxFlowElement': {
+        const strings = componentStrings(node);
+        strings.text.forEach(addText);
+        strings.code.forEach(addCode);
         break;
       }
-    } catch (e) {
-      console.log(`Listing failed for ${dir}: ${e.message}`);
+      default:
+        break;
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(tree);
+
+  return sections.map((s, idx) => ({
+    anchor: s.anchor,
+    title: s.title,
+    titles: s.titles,
+    isPage: idx === 0,
+    text: s.text.join('\n').replace(/[ \t]+/g, ' ').trim(),
+    code: s.code.join('\n'),
+  }));
+}
+
+function decodeHtmlAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function verifyAnchors(documents, staticRoot) {
+  // Check every indexed #anchor against the ids of the built HTML page
+  const idsByRoute = new Map();
+  const missing = [];
+
+  for (const doc of documents) {
+    const [route, anchor] = doc.href.split('#');
+    if (!anchor) continue;
+
+    if (!idsByRoute.has(route)) {
+      const htmlFile = [
+        path.join(staticRoot, route, 'index.html'),
+        path.join(staticRoot, `${route}.html`),
+      ].find((file) => fs.existsSync(file));
+      const ids = new Set();
+      if (htmlFile) {
+        const html = fs.readFileSync(htmlFile, 'utf8');
+        for (const m of html.matchAll(/\sid="([^"]*)"/g)) ids.add(decodeHtmlAttribute(m[1]));
+      }
+      idsByRoute.set(route, htmlFile ? ids : null);
+    }
+
+    const ids = idsByRoute.get(route);
+    if (ids === null) {
+      missing.push(`${doc.href} (no built page)`);
+    } else if (!ids.has(decodeURIComponent(anchor))) {
+      missing.push(doc.href);
     }
   }
 
-  if (!baseDirForIndex || !fileName) {
-    console.error(`No existing Vocs search index file found in any candidate directory: ${candidateDirs.join(', ')}`);
-    process.exit(1);
+  return missing;
+}
+
+function parseCliOptions(argv) {
+  // --out-dir <dir>   .vocs directory to write to (default: the Vocs build output from vocs.config.ts)
+  // --standalone      write search-index.json without an existing Vocs build (no anchor check)
+  // --verify          only load the written indexes with MiniSearch and run sample queries
+  // --query <text>    sample query for --verify (repeatable; default: page titles)
+  // --embeddings      also write search-vectors.json for the hybrid search (utils/search-embeddings.js)
+  // --embeddings-model <dir>  local transformers.js model to embed with (implies --embeddings)
+  // --strict          exit 1 when an indexed anchor is missing from the built HTML
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'out-dir': { type: 'string' },
+      standalone: { type: 'boolean', default: false },
+      verify: { type: 'boolean', default: false },
+      query: { type: 'string', multiple: true, default: [] },
+      embeddings: { type: 'boolean', default: false },
+      'embeddings-model': { type: 'string' },
+      strict: { type: 'boolean', default: false },
+    },
+  });
+  return {
+    outDir: values['out-dir'] || process.env.SEARCH_INDEX_OUT_DIR || '',
+    standalone: values.standalone,
+    verify: values.verify,
+    queries: values.query,
+    embeddingsModel: values['embeddings-model'] || process.env.SEARCH_EMBEDDINGS_MODEL || '',
+    embeddings: values.embeddings || Boolean(values['embeddings-model']),
+    strict: values.strict,
+  };
+}
+
+function resolveOutDir(outDir) {
+  // An explicit directory wins; otherwise the .vocs directory of the Vocs build (<rootDir>/<outDir>)
+  if (outDir) return path.resolve(outDir);
+  let config = {};
+  try {
+    config = loadVocsConfig(vocsConfigPath);
+  } catch (e) {
+    console.warn(`Could not read the output directory from vocs.config.ts (${e.message}); using docs/dist`);
   }
+  const rootDir = path.resolve(workspaceRoot, config.rootDir || 'docs');
+  return path.join(path.resolve(rootDir, config.outDir || 'dist'), '.vocs');
+}
 
-  const payloadTargets = [];
-  // Always write back to the discovered base dir first
-  payloadTargets.push(path.join(baseDirForIndex, fileName));
-  // And mirror to common output locations if they exist or can be created
-  if (baseDirForIndex !== distVocsDir) payloadTargets.push(path.join(distVocsDir, fileName));
-  if (baseDirForIndex !== cfPagesDistVocsDir) payloadTargets.push(path.join(cfPagesDistVocsDir, fileName));
-  if (baseDirForIndex !== vercelVocsDir) payloadTargets.push(path.join(vercelVocsDir, fileName));
-  if (baseDirForIndex !== vercelPath0DistVocsDir) payloadTargets.push(path.join(vercelPath0DistVocsDir, fileName));
+function findIndexFileName(outDir) {
+  // Vocs names its index search-index-<hash>.json; standalone builds write search-index.json
+  if (!fs.existsSync(outDir)) return null;
+  const candidates = fs.readdirSync(outDir).filter((f) => /^search-index(-.*)?\.json$/i.test(f)).sort();
+  return candidates.find((f) => f !== standaloneIndexFileName) || candidates[0] || null;
+}
 
+function listStaticRoutes(staticDir) {
+  // Routes of the built pages (directories holding an index.html)
+  const routes = new Set();
+  const stack = [staticDir];
+  while (stack.length) {
+    const dir = stack.pop();
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.some((e) => e.isFile() && e.name === 'index.html')) {
+      const rel = normalizeSlashes(path.relative(staticDir, dir));
+      routes.add(rel ? `/${rel}` : '/');
+    }
+    for (const e of entries) {
+      if (e.isDirectory() && !e.name.startsWith('.')) stack.push(path.join(dir, e.name));
+    }
+  }
+  // Remove non-doc routes
+  routes.delete('/');
+  routes.delete('/404');
+  return routes;
+}
+
+async function collectDocuments(staticDir) {
   const files = walkFiles(pagesDir);
   const documents = [];
+  const pagesManifest = fs.existsSync(pagesManifestPath)
+    ? JSON.parse(fs.readFileSync(pagesManifestPath, 'utf8'))
+    : { pages: {} };
+  const tools = await loadMarkdownTools();
 
   for (const file of files) {
     const raw = fs.readFileSync(file, 'utf8');
-    const sections = extractSectionsFromMdx(raw);
+    let sections;
+    try {
+      sections = extractSectionsFromMdx(raw, tools);
+    } catch (e) {
+      console.warn(`Skipping ${normalizeSlashes(path.relative(workspaceRoot, file))}: ${e.message}`);
+      continue;
+    }
     if (sections.length === 0) continue;
 
     const hrefBase = computeHref(file);
+    const pageMeta = pagesManifest.pages[hrefBase] || {};
     sections.forEach((section, i) => {
       const href = `${hrefBase}#${section.anchor}`;
       const id = `${href}::${i}`; // ensure unique ID even if anchors repeat
@@ -192,122 +412,185 @@ async function main() {
         id,
         isPage: section.isPage,
         text: section.text,
+        code: section.code,
         title: section.title,
         titles: section.titles,
+        pageTitle: pageMeta.title || sections[0].title,
+        tags: pageMeta.tags || [],
+        section: pageMeta.section || '',
+        dev: Boolean(pageMeta.dev),
       });
     });
   }
 
-  // Check if we're on main branch (same logic as vocs.config.ts filterDevItems)
-  // Support both Cloudflare Pages and Vercel environment variables
-  const isMainBranch = process.env.CF_PAGES_BRANCH === 'main' || process.env.VERCEL_GIT_COMMIT_REF === 'main';
-  console.log(`Branch check: ${isMainBranch ? 'main (filtering dev: true pages)' : 'develop (including all pages)'}`);
-
-  // Derive allowed routes from sidebar config (preferred) or fallback to Cloudflare Pages static output
-  let allowedRoutes = undefined;
-  if (fs.existsSync(vocsConfigPath)) {
-    try {
-      const cfg = fs.readFileSync(vocsConfigPath, 'utf8');
-      
-      // Extract all link and dev pairs by scanning line-by-line
-      // This approach handles nested objects better than complex regex
-      const lines = cfg.split('\n');
-      const routes = new Set();
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const linkMatch = line.match(/link:\s*(['"])(.*?)\1/);
-        
-        if (linkMatch) {
-          const link = linkMatch[2];
-          
-          // Check for dev: true on the same line or nearby lines (within 3 lines before)
-          let hasDev = false;
-          for (let j = Math.max(0, i - 3); j <= i; j++) {
-            if (lines[j].includes('dev:') && lines[j].includes('true')) {
-              hasDev = true;
-              break;
-            }
-          }
-          
-          // On main branch: skip pages with dev: true
-          // On other branches: include all pages
-          if (isMainBranch && hasDev) {
-            console.log(`  Skipping dev page: ${link}`);
-            continue;
-          }
-          
-          routes.add(link);
-        }
-      }
-      
-      if (routes.size > 0) allowedRoutes = routes;
-    } catch (e) {
-      console.warn('Failed to parse vocs.config.ts:', e.message);
-    }
-  }
-  if (!allowedRoutes) {
-    // Fallback: walk dist/static directory and collect all directories that contain index.html
-    // (This happens when vocs.config.ts parsing fails or yields no routes)
-    // Try Vercel static dir first, then Cloudflare Pages
-    const staticDir = fs.existsSync(vercelStaticDir) ? vercelStaticDir : 
-                      fs.existsSync(cfPagesStaticDir) ? cfPagesStaticDir : null;
-    
-    if (staticDir) {
-      const stack = [staticDir];
-      const routes = new Set();
-      while (stack.length) {
-        const dir = stack.pop();
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        let hasIndex = false;
-        for (const e of entries) {
-          if (e.isFile() && e.name === 'index.html') hasIndex = true;
-        }
-        if (hasIndex) {
-          const rel = normalizeSlashes(path.relative(staticDir, dir));
-          const route = '/' + rel.replace(/^\/?/, '');
-          routes.add(route === '/.' || route === '/' ? '/' : route);
-        }
-        for (const e of entries) {
-          if (e.isDirectory()) stack.push(path.join(dir, e.name));
-        }
-      }
-      // Remove non-doc routes
-      routes.delete('/');
-      routes.delete('/404');
-      allowedRoutes = routes;
-    }
+  // Allowed routes come from the sidebar, resolved by the same rules as vocs.config.ts
+  // (utils/sidebar.js): on production branches pages in progress are left out
+  const branch = resolveBranch();
+  console.log(`Branch check: ${branch || 'unknown'} (${isProductionBranch(branch) ? 'filtering dev: true pages' : 'including all pages'})`);
+
+  let allowedRoutes = fs.existsSync(vocsConfigPath)
+    ? getAllowedRoutes({ sidebar: loadSidebar(vocsConfigPath), branch })
+    : null;
+  if (!allowedRoutes || allowedRoutes.size === 0) {
+    // Fallback: the pages of the build output (when vocs.config.ts cannot be loaded)
+    allowedRoutes = fs.existsSync(staticDir) ? listStaticRoutes(staticDir) : null;
   }
 
   // Filter documents to only include routes present in the sidebar
-  let filteredDocuments = documents;
   if (allowedRoutes && allowedRoutes.size > 0) {
     // Keep only sections whose base href (without #anchor) is in the allowed set
-    filteredDocuments = documents.filter((d) => allowedRoutes.has(d.href.split('#')[0]));
+    const filteredDocuments = documents.filter((d) => allowedRoutes.has(d.href.split('#')[0]));
     console.log(`Filtering to sidebar/static routes: ${filteredDocuments.length} of ${documents.length} sections`);
-  } else {
-    console.log(`No sidebar filtering applied; indexing all ${documents.length} sections`);
+    return filteredDocuments;
   }
+  console.log(`No sidebar filtering applied; indexing all ${documents.length} sections`);
+  return documents;
+}
 
+async function writeIndexes(outDir, fileName, documents) {
   // Build the MiniSearch index with the same structure Vocs expects
-  const mini = new MiniSearch({
-    fields: ['title', 'titles', 'text'], // Fields to index for search
-    storeFields: ['href', 'html', 'isPage', 'text', 'title', 'titles'], // Fields to store in results
-  });
+  const mini = new MiniSearch(vocsIndexOptions);
+  await mini.addAllAsync(documents);
+  const target = path.join(outDir, fileName);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(mini.toJSON()));
+  console.log(`Search index written (${documents.length} sections): ${target}`);
+
+  // Build the faceted index with the page metadata as extra (boosted) fields
+  const facetIndex = new MiniSearch(facetIndexOptions);
+  await facetIndex.addAllAsync(documents);
+  const facetsTarget = path.join(outDir, facetsFileName);
+  fs.writeFileSync(facetsTarget, JSON.stringify({ options: facetIndexOptions, index: facetIndex.toJSON() }));
+  console.log(`Faceted search index written: ${facetsTarget}`);
+}
+
+function sampleQueries(index, count = 10) {
+  // Titles of pages spread evenly over the index, each expected to find its own page
+  const pages = [];
+  index.search(MiniSearch.wildcard, { filter: (r) => Boolean(r.isPage) && Boolean(r.title) })
+    .sort((a, b) => a.href.localeCompare(b.href))
+    .forEach((r) => pages.push({ query: r.title, expectedRoute: r.href.split('#')[0] }));
+  const step = Math.max(1, Math.floor(pages.length / count));
+  return pages.filter((_, i) => i % step === 0).slice(0, count);
+}
 
-  await mini.addAllAsync(filteredDocuments);
-  const json = mini.toJSON();
+function verifyIndexes(outDir, queries) {
+  // Load the written indexes the way the site does and check that sample queries find results
+  const fileName = findIndexFileName(outDir);
+  const facetsFile = path.join(outDir, facetsFileName);
+  if (!fileName || !fs.existsSync(facetsFile)) {
+    return [`No search index and ${facetsFileName} found in ${outDir}`];
+  }
 
-  // Write the regenerated index to all discovered .vocs directories
-  const payload = JSON.stringify(json);
-  for (const target of payloadTargets) {
-    try {
-      fs.mkdirSync(path.dirname(target), { recursive: true });  // Ensure directory exists
-      fs.writeFileSync(target, payload);
-      console.log(`Search index written (${filteredDocuments.length} sections): ${target}`);
-    } catch (err) {
-      // Skip targets that aren't writable (e.g., Vercel paths on CF Pages or vice versa)
-      console.log(`Skipping ${target}: ${err.code === 'EACCES' ? 'permission denied' : err.message}`);
+  const indexes = [];
+  try {
+    indexes.push({ name: fileName, index: MiniSearch.loadJSON(fs.readFileSync(path.join(outDir, fileName), 'utf8'), vocsIndexOptions) });
+    const facets = JSON.parse(fs.readFileSync(facetsFile, 'utf8'));
+    indexes.push({ name: facetsFileName, index: MiniSearch.loadJS(facets.index, facets.options) });
+  } catch (e) {
+    return [`Failed to load the search index: ${e.message}`];
+  }
+
+  const failures = [];
+  const samples = queries.length > 0
+    ? queries.map((query) => ({ query }))
+    : sampleQueries(indexes[0].index);
+  for (const { name, index } of indexes) {
+    if (index.documentCount === 0) {
+      failures.push(`${name}: the index is empty`);
+      continue;
+    }
+    for (const { query, expectedRoute } of samples) {
+      const results = index.search(query).slice(0, 10);
+      const found = expectedRoute
+        ? results.some((r) => r.href.split('#')[0] === expectedRoute)
+        : results.length > 0;
+      console.log(`  ${found ? 'ok  ' : 'FAIL'} ${name}: "${query}" (${results.length} result(s)${expectedRoute ? `, expecting ${expectedRoute}` : ''})`);
+      if (!found) failures.push(`${name}: "${query}" did not find ${expectedRoute || 'any result'}`);
+    }
+  }
+
+  const vectorsFile = path.join(outDir, VECTORS_FILE_NAME);
+  if (fs.existsSync(vectorsFile)) {
+    failures.push(...verifyEmbeddings(vectorsFile, indexes[1].index, samples));
+  }
+  return failures;
+}
+
+function verifyEmbeddings(vectorsFile, facetIndex, samples) {
+  // The vectors must point at documents of the faceted index; hashing vectors are also queried
+  let embeddings;
+  try {
+    embeddings = readEmbeddings(vectorsFile);
+  } catch (e) {
+    return [`${VECTORS_FILE_NAME}: failed to load (${e.message})`];
+  }
+  const failures = [];
+  if (embeddings.vectors.length !== embeddings.ids.length * embeddings.dimensions) {
+    failures.push(`${VECTORS_FILE_NAME}: ${embeddings.ids.length} ids but ${embeddings.vectors.length / embeddings.dimensions} vectors`);
+  }
+  const unknownIds = [...new Set(embeddings.ids)].filter((id) => !facetIndex.has(id));
+  if (unknownIds.length > 0) {
+    failures.push(`${VECTORS_FILE_NAME}: ${unknownIds.length} chunk(s) point at documents missing from ${facetsFileName}`);
+  }
+
+  const { HASHING_MODEL, hashingEmbedding } = loadTextEmbedding();
+  if (embeddings.model !== HASHING_MODEL) {
+    console.log(`  ${VECTORS_FILE_NAME}: ${embeddings.model} vectors (queries need the model, skipped)`);
+    return failures;
+  }
+  for (const { query, expectedRoute } of samples) {
+    const ranked = rankBySimilarity(embeddings, hashingEmbedding(query, embeddings.dimensions));
+    const found = expectedRoute
+      ? ranked.some(([id]) => id.split('#')[0] === expectedRoute)
+      : ranked.length > 0 && ranked[0][1] > 0;
+    console.log(`  ${found ? 'ok  ' : 'FAIL'} ${VECTORS_FILE_NAME}: "${query}"${expectedRoute ? ` (expecting ${expectedRoute})` : ''}`);
+    if (!found) failures.push(`${VECTORS_FILE_NAME}: "${query}" did not find ${expectedRoute || 'any result'}`);
+  }
+  return failures;
+}
+
+async function main() {
+  const options = parseCliOptions(process.argv.slice(2));
+  const outDir = resolveOutDir(options.outDir);
+  // The built pages live next to the .vocs directory
+  const staticDir = path.dirname(outDir);
+
+  if (options.verify) {
+    console.log(`Verifying the search indexes in ${outDir}`);
+    const failures = verifyIndexes(outDir, options.queries);
+    if (failures.length > 0) {
+      failures.forEach((failure) => console.error(failure));
+      process.exit(1);
+    }
+    console.log('Search index verification passed');
+    return;
+  }
+
+  // Without a Vocs build there is no hashed index to replace, so a standalone index is written
+  const fileName = options.standalone ? standaloneIndexFileName : findIndexFileName(outDir);
+  if (!fileName) {
+    console.error(`No Vocs search index (search-index-*.json) found in ${outDir}. Build the site first, pass --out-dir, or use --standalone.`);
+    process.exit(1);
+  }
+
+  const documents = await collectDocuments(staticDir);
+  await writeIndexes(outDir, fileName, documents);
+  if (options.embeddings) {
+    await writeEmbeddings(documents, outDir, { modelDir: options.embeddingsModel });
+  } else {
+    removeEmbeddings(outDir);
+  }
+
+  if (options.standalone) return;
+  const missingAnchors = verifyAnchors(documents, staticDir);
+  if (missingAnchors.length === 0) {
+    console.log(`Anchor check: all ${documents.length} indexed anchors exist in the built HTML`);
+  } else {
+    console.warn(`Anchor check: ${missingAnchors.length} indexed anchor(s) not found in the built HTML:`);
+    missingAnchors.forEach((href) => console.warn(`  ${href}`));
+    if (options.strict) {
+      process.exit(1);
     }
   }
 }
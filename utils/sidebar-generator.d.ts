@@ -0,0 +1,8 @@
+declare type SidebarItem = { text: string; link?: string; collapsed?: boolean; dev?: boolean; items?: SidebarItem[] }
+
+export function buildSidebar(pagesDir?: string): SidebarItem[]
+export function generateSidebar(pagesDir?: string): {
+  sidebar: SidebarItem[]
+  orphans: string[]
+  deadLinks: { source: string; reference: string }[]
+}
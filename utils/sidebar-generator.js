@@ -0,0 +1,377 @@
+/**
+ * Builds the Vocs sidebar from docs/pages, so adding a page no longer means
+ * editing vocs.config.ts.
+ *
+ * Each folder becomes a group and each page a link. Labels, order, `dev` and
+ * `collapsed` come from:
+ *  - an optional `_meta.json` in the folder:
+ *      {
+ *        "label": "Wallet Security",   group label (default: title of overview.mdx, else the folder name)
+ *        "order": 2,                   position among its siblings when they are sorted automatically
+ *        "collapsed": false,
+ *        "dev": true,                  in progress: hidden on production branches with everything inside
+ *        "items": [...],               explicit contents, in order (default: every page and subfolder)
+ *        "exclude": ["old"]            pages or subfolders deliberately left out of the sidebar
+ *      }
+ *    `items` entries are paths relative to the folder (`"overview"`, `"smart-contracts"`,
+ *    `"playbooks/malware"`), objects overriding one entry (`{ "page": "overview", "label": "Overview",
+ *    "dev": true }`, `{ "folder": "travel", "collapsed": true }`), groups that are not a folder
+ *    (`{ "label": "Signing", "items": [...] }`), links (`{ "label": "GitHub", "link": "https://..." }`)
+ *    and `"..."`, which stands for every page and subfolder not listed otherwise.
+ *  - the `sidebar` frontmatter of a page: `{ label, order, dev }`, or `false` to leave it out.
+ * An entry in `items` overrides the page's frontmatter, which overrides the defaults.
+ *
+ * Usage:
+ *   node utils/sidebar-generator.js           report orphan pages and dead sidebar links
+ *   node utils/sidebar-generator.js --check   same, exiting with 1 on dead links
+ *   node utils/sidebar-generator.js --strict  same, exiting with 1 on orphan pages too
+ *   node utils/sidebar-generator.js --json    print the generated sidebar
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseMdx } = require('./frontmatter');
+
+const DOCS_ROOT = path.join(__dirname, '..', 'docs', 'pages');
+const META_FILE_NAME = '_meta.json';
+// `items` entry standing for everything in the folder that is not listed otherwise.
+const REST_ITEM = '...';
+const PAGE_EXTENSIONS = ['.mdx', '.md'];
+// Folder indexes written by utils/generate-folder-indexes.js are not sidebar pages.
+const GENERATED_MARKER_REGEX = /AUTOGENERATED: This file is generated by utils\/generate-folder-indexes\.js/;
+// Links with a scheme (https:, mailto:) point outside the docs.
+const EXTERNAL_LINK_REGEX = /^[a-z][a-z\d+.-]*:/i;
+
+// Normalizes file/folder names like `risk-management` into `Risk Management`.
+function toTitleCase(input) {
+  return String(input || '')
+    .replace(/[._-]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Path of a file relative to the repository, for messages.
+function displayPath(filePath) {
+  return path.relative(path.join(DOCS_ROOT, '..', '..'), filePath).split(path.sep).join('/');
+}
+
+// Reads a folder's _meta.json ({} when there is none).
+function readFolderMeta(dirPath) {
+  const metaPath = path.join(dirPath, META_FILE_NAME);
+  if (!fs.existsSync(metaPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${displayPath(metaPath)}: ${error.message}`);
+  }
+}
+
+// Title and `sidebar` frontmatter of a page; `generated` marks folder indexes.
+function readPageSettings(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (path.basename(filePath, path.extname(filePath)) === 'index' && GENERATED_MARKER_REGEX.test(raw)) {
+    return { generated: true };
+  }
+  let data = {};
+  try {
+    data = parseMdx(raw).data;
+  } catch (error) {
+    console.warn(`Warning: unable to read frontmatter from ${displayPath(filePath)}: ${error.message}`);
+  }
+  const sidebar = data.sidebar && typeof data.sidebar === 'object' ? data.sidebar : {};
+  return {
+    hidden: data.sidebar === false,
+    title: typeof data.title === 'string' ? data.title.trim() : '',
+    label: typeof sidebar.label === 'string' ? sidebar.label : undefined,
+    order: typeof sidebar.order === 'number' ? sidebar.order : undefined,
+    dev: typeof sidebar.dev === 'boolean' ? sidebar.dev : undefined,
+  };
+}
+
+// Finds the page file behind a path without extension, or null.
+function findPageFile(basePath) {
+  return PAGE_EXTENSIONS
+    .map((extension) => `${basePath}${extension}`)
+    .find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+// Pages and subfolders of a folder, skipping hidden and `_` files.
+function listFolder(dirPath) {
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith('.') && !entry.name.startsWith('_'));
+  return {
+    pages: entries
+      .filter((entry) => entry.isFile() && PAGE_EXTENSIONS.includes(path.extname(entry.name)))
+      .map((entry) => ({ name: path.basename(entry.name, path.extname(entry.name)), filePath: path.join(dirPath, entry.name) })),
+    folders: entries
+      .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules')
+      .map((entry) => ({ name: entry.name, dirPath: path.join(dirPath, entry.name) })),
+  };
+}
+
+// Route of a page (`opsec/travel/guide.mdx` -> `/opsec/travel/guide`).
+function toLink(filePath, pagesDir) {
+  const relative = path.relative(pagesDir, filePath).split(path.sep).join('/');
+  const route = relative.replace(/\.mdx?$/i, '').replace(/(^|\/)index$/, '');
+  return `/${route}`;
+}
+
+// Default group label: the title of the folder's overview (or manual index) page, else its name.
+function folderTitle(dirPath) {
+  const page = ['overview', 'index']
+    .map((name) => findPageFile(path.join(dirPath, name)))
+    .filter(Boolean)
+    .map(readPageSettings)
+    .find((settings) => !settings.generated && settings.title);
+  return page ? page.title : toTitleCase(path.basename(dirPath));
+}
+
+// Resolves an `items` path to a page or a folder (pages win when both exist).
+function resolveReference(dirPath, reference) {
+  const target = path.resolve(dirPath, reference);
+  const filePath = findPageFile(target);
+  if (filePath) {
+    return { kind: 'page', filePath };
+  }
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return { kind: 'folder', dirPath: target };
+  }
+  return null;
+}
+
+// Copies the settings that are set, in the key order vocs.config.ts uses.
+function applySettings(item, { collapsed, dev }) {
+  if (typeof collapsed === 'boolean') {
+    item.collapsed = collapsed;
+  }
+  if (dev === true) {
+    item.dev = true;
+  }
+  return item;
+}
+
+// Sidebar link for a page.
+function buildPageItem(filePath, overrides, context) {
+  const settings = readPageSettings(filePath);
+  context.listed.add(filePath);
+  return applySettings(
+    {
+      text: overrides.label || settings.label || settings.title || toTitleCase(path.basename(filePath, path.extname(filePath))),
+      link: toLink(filePath, context.pagesDir),
+    },
+    { dev: overrides.dev !== undefined ? overrides.dev : settings.dev },
+  );
+}
+
+// Sidebar group for a folder (null when nothing inside it is listed).
+function buildFolderItem(dirPath, overrides, context) {
+  const meta = readFolderMeta(dirPath);
+  const items = buildFolderContents(dirPath, meta, context);
+  if (items.length === 0) {
+    return null;
+  }
+  const item = applySettings(
+    { text: overrides.label || meta.label || folderTitle(dirPath) },
+    {
+      collapsed: overrides.collapsed !== undefined ? overrides.collapsed : meta.collapsed,
+      dev: overrides.dev !== undefined ? overrides.dev : meta.dev,
+    },
+  );
+  item.items = items;
+  return item;
+}
+
+// Every page and subfolder not listed or excluded, sorted by `order`, then
+// overview first, then label.
+function buildDefaultItems(dirPath, skipNames, context) {
+  const { pages, folders } = listFolder(dirPath);
+  const candidates = [
+    ...pages
+      .filter((page) => !skipNames.has(page.name))
+      .map((page) => ({ page, settings: readPageSettings(page.filePath) }))
+      .filter(({ settings }) => !settings.generated && !settings.hidden)
+      .map(({ page, settings }) => ({
+        name: page.name,
+        order: settings.order,
+        item: buildPageItem(page.filePath, {}, context),
+      })),
+    ...folders
+      .filter((folder) => !skipNames.has(folder.name))
+      .map((folder) => ({
+        name: folder.name,
+        order: readFolderMeta(folder.dirPath).order,
+        item: buildFolderItem(folder.dirPath, {}, context),
+      }))
+      .filter(({ item }) => item),
+  ];
+
+  const rank = ({ order }) => (typeof order === 'number' ? order : Infinity);
+  return candidates
+    .sort((a, b) => rank(a) - rank(b)
+      || (b.name === 'overview') - (a.name === 'overview')
+      || a.item.text.localeCompare(b.item.text))
+    .map(({ item }) => item);
+}
+
+// First path segment of every entry in `items` (including nested groups), i.e.
+// the names of this folder that are placed explicitly.
+function collectListedNames(items, names = new Set()) {
+  (items || []).forEach((entry) => {
+    const reference = typeof entry === 'string' ? entry : entry && (entry.page || entry.folder);
+    if (reference && reference !== REST_ITEM) {
+      names.add(reference.split('/')[0]);
+    }
+    if (entry && Array.isArray(entry.items)) {
+      collectListedNames(entry.items, names);
+    }
+  });
+  return names;
+}
+
+// Builds one `items` entry of a folder's _meta.json (an array: `...` can expand to many).
+function buildEntry(dirPath, entry, context) {
+  const metaPath = path.join(dirPath, META_FILE_NAME);
+  if (entry === REST_ITEM) {
+    return buildDefaultItems(dirPath, context.skipNames.get(dirPath), context);
+  }
+
+  const spec = typeof entry === 'string' ? { path: entry } : entry;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${displayPath(metaPath)}: invalid sidebar item ${JSON.stringify(entry)}`);
+  }
+
+  if (typeof spec.link === 'string') {
+    if (!EXTERNAL_LINK_REGEX.test(spec.link) && !findPageFile(path.join(context.pagesDir, spec.link))
+      && !findPageFile(path.join(context.pagesDir, spec.link, 'index'))) {
+      context.deadLinks.push({ source: displayPath(metaPath), reference: spec.link });
+      return [];
+    }
+    return [applySettings({ text: spec.label || spec.link, link: spec.link }, spec)];
+  }
+
+  if (Array.isArray(spec.items) && !spec.folder) {
+    const items = spec.items.flatMap((child) => buildEntry(dirPath, child, context));
+    if (items.length === 0) {
+      return [];
+    }
+    const group = applySettings({ text: spec.label || '' }, spec);
+    group.items = items;
+    return [group];
+  }
+
+  const reference = spec.path || spec.page || spec.folder;
+  const resolved = typeof reference === 'string' ? resolveReference(dirPath, reference) : null;
+  if (!resolved || (spec.page && resolved.kind !== 'page') || (spec.folder && resolved.kind !== 'folder')) {
+    context.deadLinks.push({ source: displayPath(metaPath), reference: String(reference) });
+    return [];
+  }
+  const item = resolved.kind === 'page'
+    ? buildPageItem(resolved.filePath, spec, context)
+    : buildFolderItem(resolved.dirPath, spec, context);
+  return item ? [item] : [];
+}
+
+// Contents of a folder: its explicit `items`, or every page and subfolder.
+function buildFolderContents(dirPath, meta, context) {
+  const skipNames = new Set(meta.exclude || []);
+  if (!Array.isArray(meta.items)) {
+    return buildDefaultItems(dirPath, skipNames, context);
+  }
+  collectListedNames(meta.items, skipNames);
+  context.skipNames.set(dirPath, skipNames);
+  return meta.items.flatMap((entry) => buildEntry(dirPath, entry, context));
+}
+
+// Pages that are in no sidebar entry, excluded folders and hidden pages aside.
+function findOrphans(dirPath, context, orphans = []) {
+  const excluded = new Set(readFolderMeta(dirPath).exclude || []);
+  const { pages, folders } = listFolder(dirPath);
+  pages
+    .filter((page) => !excluded.has(page.name) && !context.listed.has(page.filePath))
+    .filter((page) => {
+      const settings = readPageSettings(page.filePath);
+      return !settings.generated && !settings.hidden;
+    })
+    .forEach((page) => orphans.push(toLink(page.filePath, context.pagesDir)));
+  folders
+    .filter((folder) => !excluded.has(folder.name))
+    .forEach((folder) => findOrphans(folder.dirPath, context, orphans));
+  return orphans;
+}
+
+/**
+ * Build the sidebar from the pages, _meta.json files and frontmatter under a directory.
+ * @param {string} [pagesDir] - The Vocs pages directory (docs/pages by default)
+ * @returns {{ sidebar: Array, orphans: string[], deadLinks: Array<{ source: string, reference: string }> }}
+ */
+function generateSidebar(pagesDir = DOCS_ROOT) {
+  const context = { pagesDir, listed: new Set(), deadLinks: [], skipNames: new Map() };
+  const sidebar = buildFolderContents(pagesDir, readFolderMeta(pagesDir), context);
+  return {
+    sidebar,
+    orphans: findOrphans(pagesDir, context),
+    deadLinks: context.deadLinks,
+  };
+}
+
+// The sidebar for vocs.config.ts; dead links are left out with a warning.
+function buildSidebar(pagesDir = DOCS_ROOT) {
+  const { sidebar, deadLinks } = generateSidebar(pagesDir);
+  deadLinks.forEach(({ source, reference }) => {
+    console.warn(`Warning: ${source} lists "${reference}", which has no page`);
+  });
+  return sidebar;
+}
+
+// Entry point when run as a CLI script.
+function main(argv = []) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      check: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+  });
+  const { sidebar, orphans, deadLinks } = generateSidebar();
+
+  if (values.json) {
+    console.log(JSON.stringify(sidebar, null, 2));
+    return;
+  }
+
+  if (orphans.length > 0) {
+    console.log(`${orphans.length} page(s) are not in the sidebar (list them in a _meta.json, or add them to its "exclude"):`);
+    orphans.forEach((route) => console.log(`  ${route}`));
+  }
+  if (deadLinks.length > 0) {
+    console.log(`${deadLinks.length} sidebar link(s) have no page:`);
+    deadLinks.forEach(({ source, reference }) => console.log(`  ${source}: ${reference}`));
+  }
+  if (orphans.length === 0 && deadLinks.length === 0) {
+    console.log('Every page is in the sidebar and every sidebar link has a page');
+  }
+
+  if ((values.check || values.strict) && deadLinks.length > 0) {
+    process.exitCode = 1;
+  }
+  if (values.strict && orphans.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  META_FILE_NAME,
+  buildSidebar,
+  generateSidebar,
+  main,
+};
@@ -0,0 +1,6 @@
+declare type SidebarItem = { text?: string; link?: string; dev?: boolean; items?: SidebarItem[]; [key: string]: unknown }
+
+export function filterDevItems<T extends SidebarItem>(items: T[]): T[]
+export function filterSidebarForBranch<T extends SidebarItem>(items: T[], branch?: string | null): T[]
+export function resolveBranch(): string | null
+export function isProductionBranch(branch?: string | null): boolean
@@ -0,0 +1,194 @@
+/**
+ * Shared access to the sidebar declared in vocs.config.ts.
+ *
+ * Every script that needs to know which pages exist on a deployment (folder
+ * indexes, the pages manifest, the search index) and vocs.config.ts itself go
+ * through this module, so they agree on:
+ *  - how the config is loaded (compiled with esbuild, never pattern-matched),
+ *  - which pages are in progress (`dev: true`, inherited by a group's children),
+ *  - which branch counts as production (where in-progress pages are hidden):
+ *    `main`, as set by the deployment in CF_PAGES_BRANCH or VERCEL_GIT_COMMIT_REF.
+ *    Local builds set neither and show every page, whatever the checkout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'vocs.config.ts');
+// Environment variables that hold the deployed branch, in order of preference.
+const BRANCH_ENV_VARS = ['CF_PAGES_BRANCH', 'VERCEL_GIT_COMMIT_REF'];
+const PRODUCTION_BRANCH = 'main';
+// Links with a scheme (https:, mailto:) point outside the docs.
+const EXTERNAL_LINK_REGEX = /^[a-z][a-z\d+.-]*:/i;
+
+// Converts a sidebar link into a route (`opsec/travel/` -> `/opsec/travel`).
+function normalizeRoute(link) {
+  let route = String(link || '').trim().replace(/\\/g, '/').replace(/[?#].*$/, '');
+  if (!route.startsWith('/')) {
+    route = `/${route}`;
+  }
+  route = route.replace(/\/+/g, '/');
+  if (route.length > 1 && route.endsWith('/')) {
+    route = route.slice(0, -1);
+  }
+  return route;
+}
+
+// Removes in-progress items (and everything nested under them) from a sidebar.
+function filterDevItems(items) {
+  return (items || [])
+    .filter((item) => !item.dev)
+    .map((item) => ({
+      ...item,
+      items: item.items ? filterDevItems(item.items) : undefined,
+    }));
+}
+
+// Walks the sidebar and returns every internal route with its resolved dev status
+// (an item is in progress when it or any group above it has `dev: true`).
+function collectSidebarRoutes(items, parentIsDev = false, routes = new Map()) {
+  (items || []).forEach((item) => {
+    if (!item || typeof item !== 'object') return;
+    const isDev = parentIsDev || item.dev === true;
+    if (typeof item.link === 'string' && !EXTERNAL_LINK_REGEX.test(item.link)) {
+      const route = normalizeRoute(item.link);
+      // A page linked twice is only in progress if every link to it is
+      const existing = routes.get(route);
+      routes.set(route, existing
+        ? { ...existing, dev: existing.dev && isDev }
+        : { dev: isDev, text: item.text || '' });
+    }
+    collectSidebarRoutes(item.items, isDev, routes);
+  });
+  return routes;
+}
+
+// Routes of the pages that are in progress.
+function collectDevRoutes(items) {
+  const routes = new Set();
+  collectSidebarRoutes(items).forEach(({ dev }, route) => {
+    if (dev) routes.add(route);
+  });
+  return routes;
+}
+
+// Resolves the branch being deployed, or null outside a deployment (local builds).
+function resolveBranch() {
+  for (const name of BRANCH_ENV_VARS) {
+    const value = (process.env[name] || '').trim();
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+}
+
+// Tells whether a branch is deployed as the public site (`main`), where
+// in-progress pages are hidden.
+function isProductionBranch(branch = resolveBranch()) {
+  return branch === PRODUCTION_BRANCH;
+}
+
+// The sidebar as a given branch shows it. Used by vocs.config.ts.
+function filterSidebarForBranch(items, branch = resolveBranch()) {
+  return isProductionBranch(branch) ? filterDevItems(items) : items;
+}
+
+// Compiles and evaluates a vocs config. `vocs` itself is replaced by a stub
+// (only `defineConfig` is used) and the branch filter by a pass-through, so
+// the result always holds the complete sidebar with its `dev` flags.
+function loadVocsConfig(configPath = CONFIG_PATH) {
+  const { transformSync } = require('esbuild');
+  const source = fs.readFileSync(configPath, 'utf8');
+  const { code } = transformSync(source, { loader: 'ts', format: 'cjs', platform: 'node', sourcefile: configPath });
+
+  const configRequire = Module.createRequire(configPath);
+  const requireForConfig = (request) => {
+    if (request === 'vocs') {
+      return { defineConfig: (config) => config };
+    }
+    if (configRequire.resolve(request) === __filename) {
+      return { ...module.exports, filterSidebarForBranch: (items) => items };
+    }
+    return configRequire(request);
+  };
+
+  const configModule = { exports: {} };
+  const evaluate = new Function('module', 'exports', 'require', '__filename', '__dirname', code);
+  evaluate(configModule, configModule.exports, requireForConfig, configPath, path.dirname(configPath));
+  return configModule.exports.default || configModule.exports;
+}
+
+// Loads the complete sidebar, or null (with a warning) when the config cannot be read.
+function loadSidebar(configPath = CONFIG_PATH) {
+  try {
+    const config = loadVocsConfig(configPath);
+    if (!Array.isArray(config.sidebar)) {
+      throw new Error('the config has no sidebar array');
+    }
+    return config.sidebar;
+  } catch (error) {
+    console.warn(`Warning: unable to load the sidebar from ${path.relative(process.cwd(), configPath)}: ${error.message}`);
+    return null;
+  }
+}
+
+// Adds a route and its ancestor folders (`/opsec/travel/guide` -> `/opsec`, `/opsec/travel`, ...).
+function addRouteWithAncestors(route, routes) {
+  let current = '';
+  route.split('/').filter(Boolean).forEach((segment) => {
+    current += `/${segment}`;
+    routes.add(current);
+  });
+}
+
+/**
+ * Routes that are published on a branch: every sidebar page, minus the pages
+ * in progress on production branches.
+ * @param {object} [options]
+ * @param {Array} [options.sidebar] - Sidebar items (loaded from vocs.config.ts by default)
+ * @param {string|null} [options.branch] - Branch to resolve for (the current one by default)
+ * @param {boolean} [options.includeAncestors] - Also allow the folders above each page
+ * @returns {Set<string>|null} The allowed routes, or null when the sidebar could not be loaded
+ */
+function getAllowedRoutes({ sidebar = loadSidebar(), branch = resolveBranch(), includeAncestors = false } = {}) {
+  if (!sidebar) {
+    return null;
+  }
+  const hideDev = isProductionBranch(branch);
+  const routes = new Set();
+  collectSidebarRoutes(sidebar).forEach(({ dev }, route) => {
+    if (hideDev && dev) return;
+    if (includeAncestors) {
+      addRouteWithAncestors(route, routes);
+    } else {
+      routes.add(route);
+    }
+  });
+  return routes;
+}
+
+// Tests a route against an allowed set (a missing set allows everything).
+function isRouteAllowed(route, allowedRoutes) {
+  if (!allowedRoutes || !route || route === '/') {
+    return true;
+  }
+  return allowedRoutes.has(normalizeRoute(route));
+}
+
+module.exports = {
+  CONFIG_PATH,
+  normalizeRoute,
+  filterDevItems,
+  collectSidebarRoutes,
+  collectDevRoutes,
+  resolveBranch,
+  isProductionBranch,
+  filterSidebarForBranch,
+  loadVocsConfig,
+  loadSidebar,
+  getAllowedRoutes,
+  isRouteAllowed,
+};
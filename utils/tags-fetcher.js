@@ -1,140 +1,404 @@
 #!/usr/bin/env node
 
 /**
- * Build script to fetch tags from MDX frontmatter
+ * Build script to gather page metadata from MDX frontmatter.
+ *
+ * Writes two files:
+ * - utils/pages-manifest.json: versioned per-page manifest (title, section, tags,
+ *   contributors, dev status, route, last-modified, review status). Components should import this.
+ * - utils/fetched-tags.json: legacy tag-only view kept for existing consumers.
+ *
+ * `lastModified` is the latest commit date of a page. It changes with every commit, so
+ * it is only filled in when PAGES_LAST_MODIFIED=1, which the publish and preview
+ * workflows set for their builds. Everywhere else (and for pages not committed yet, or
+ * in a shallow clone) it is null, so local builds leave the committed manifest unchanged.
  */
 
 const fs = require('fs');
 const path = require('path');
+const childProcess = require('child_process');
+const { parseFrontmatter, readFrontmatter, normalizeContributors } = require('./frontmatter');
+const { loadSidebar, collectDevRoutes } = require('./sidebar');
+const { hashContent, openCache } = require('./build-cache');
+const { getReviewInfo, getReviewInterval, loadReviewIntervals } = require('./review-status');
 
-// Simple frontmatter parser
-function parseFrontmatter(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    
-    const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-    if (!frontmatterMatch) {
-      return {};
+// Single source of truth for tag names, aliases, descriptions, colours and groups
+const TAXONOMY_PATH = path.join(__dirname, '..', 'docs', 'pages', 'config', 'tags.json');
+const DOCS_DIR = path.join(__dirname, '..', 'docs', 'pages');
+const MANIFEST_PATH = path.join(__dirname, 'pages-manifest.json');
+const LEGACY_TAGS_PATH = path.join(__dirname, 'fetched-tags.json');
+const INCLUDE_LAST_MODIFIED = process.env.PAGES_LAST_MODIFIED === '1';
+// Bump when the shape of pages-manifest.json changes in a breaking way
+const MANIFEST_SCHEMA_VERSION = 3;
+
+// Load the tag taxonomy and check that it is internally consistent
+function loadTaxonomy(taxonomyPath = TAXONOMY_PATH) {
+  const taxonomy = JSON.parse(fs.readFileSync(taxonomyPath, 'utf-8'));
+  const groups = taxonomy.groups || {};
+  const tags = taxonomy.tags || {};
+  const errors = [];
+  const seen = new Map();
+
+  for (const [name, definition] of Object.entries(tags)) {
+    if (!definition.group || !groups[definition.group]) {
+      errors.push(`Tag "${name}" references unknown group "${definition.group}"`);
     }
-    
-    const frontmatterText = frontmatterMatch[1];
-    const data = {};
-    
-    const lines = frontmatterText.split('\n');
-    let currentKey = '';
-    let isInArray = false;
-    let currentArray = [];
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      if (trimmedLine === '') continue;
-      
-      // Handle array items
-      if (trimmedLine.startsWith('- ')) {
-        if (isInArray) {
-          currentArray.push(trimmedLine.substring(2).trim());
-        }
-        continue;
-      }
-      
-      // Handle key: value pairs
-      if (trimmedLine.includes(':')) {
-        // If we were building an array, save it
-        if (isInArray && currentKey) {
-          data[currentKey] = currentArray;
-          currentArray = [];
-          isInArray = false;
-        }
-        
-        const [key, ...valueParts] = trimmedLine.split(':');
-        const value = valueParts.join(':').trim();
-        currentKey = key.trim();
-        
-        if (value === '') {
-          // This might be the start of an array
-          isInArray = true;
-          currentArray = [];
-        } else {
-          // Single value (remove quotes if present)
-          data[currentKey] = value.replace(/^["']|["']$/g, '');
-          isInArray = false;
-        }
+    if (!/^#[0-9a-fA-F]{6}$/.test(definition.color || '')) {
+      errors.push(`Tag "${name}" has an invalid colour "${definition.color}"`);
+    }
+    if (!definition.description) {
+      errors.push(`Tag "${name}" is missing a description`);
+    }
+
+    for (const label of [name, ...(definition.aliases || [])]) {
+      const key = label.toLowerCase();
+      if (seen.has(key)) {
+        errors.push(`"${label}" is defined by both "${seen.get(key)}" and "${name}"`);
       }
+      seen.set(key, name);
     }
-    
-    // Save any remaining array
-    if (isInArray && currentKey) {
-      data[currentKey] = currentArray;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid tag taxonomy in ${taxonomyPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return taxonomy;
+}
+
+// Build a lookup from canonical names and aliases (case-insensitive) to canonical names
+function createTagResolver(taxonomy) {
+  const lookup = new Map();
+  for (const [name, definition] of Object.entries(taxonomy.tags || {})) {
+    lookup.set(name.toLowerCase(), name);
+    (definition.aliases || []).forEach(alias => lookup.set(alias.toLowerCase(), name));
+  }
+  return (tag) => lookup.get(String(tag).trim().toLowerCase()) || null;
+}
+
+// Turn a file or folder name like `risk-management` into `Risk Management`
+function toTitleCase(input) {
+  return input
+    .replace(/[._-]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Resolve the display name of a top-level section (framework) folder,
+// preferring the title of its overview page over the generated index
+function getSectionTitle(docsDir, section, cache) {
+  if (!section) return '';
+  if (cache[section]) return cache[section];
+
+  const candidates = ['overview.mdx', 'index.mdx'].map(name => path.join(docsDir, section, name));
+  let title = '';
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      title = readFrontmatter(candidate).title || '';
+      if (title) break;
     }
-    
-    return data;
-  } catch (error) {
-    console.warn(`Failed to parse frontmatter from ${filePath}:`, error);
-    return {};
   }
+
+  cache[section] = title || toTitleCase(section);
+  return cache[section];
 }
 
-// Scan directory for MDX files and extract tags
-function getAllTagsFromMDX(docsDir) {
-  const tags = new Set();
-  const pageTagsMap = {};
-  
-  function scanDirectory(dir, basePath = '') {
-    try {
-      const items = fs.readdirSync(dir);
-      
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-          const newBasePath = basePath ? `${basePath}/${item}` : item;
-          scanDirectory(fullPath, newBasePath);
-        } else if (item.endsWith('.mdx')) {
-          const frontmatter = parseFrontmatter(fullPath);
-          if (frontmatter.tags && Array.isArray(frontmatter.tags)) {
-            // Add to global tags set
-            frontmatter.tags.forEach(tag => tags.add(tag));
-            
-            // Create URL path
-            let urlPath = basePath ? `/${basePath}/${item}` : `/${item}`;
-            urlPath = urlPath.replace('.mdx', '').replace('/README', '');
-            
-            pageTagsMap[urlPath] = frontmatter.tags;
-          }
+// Convert a path relative to docs/pages into its route (`opsec/index.mdx` -> `/opsec`)
+function toRoute(relativePath) {
+  const route = `/${relativePath.split(path.sep).join('/')}`
+    .replace(/\.mdx$/i, '')
+    .replace(/\/(index|README)$/i, '');
+  return route || '/';
+}
+
+// Read the latest commit date of every file under docs/pages in a single git call
+function readGitLastModified(docsDir) {
+  const dates = {};
+  try {
+    const shallow = childProcess.execSync('git rev-parse --is-shallow-repository', {
+      cwd: docsDir,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).toString().trim();
+    if (shallow === 'true') {
+      console.warn('Shallow git clone; last-modified dates are left empty (fetch the full history to read them)');
+      return dates;
+    }
+    const output = childProcess.execSync(`git log --format=%x00%cI --name-only -- "${docsDir}"`, {
+      cwd: docsDir,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+    }).toString();
+    const root = childProcess.execSync('git rev-parse --show-toplevel', {
+      cwd: docsDir,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).toString().trim();
+
+    let currentDate = null;
+    output.split('\n').forEach((line) => {
+      if (line.startsWith('\0')) {
+        currentDate = line.slice(1).trim();
+      } else if (line.trim() && currentDate) {
+        const absolute = path.resolve(root, line.trim());
+        if (!dates[absolute]) {
+          dates[absolute] = currentDate;
         }
       }
-    } catch (error) {
-      console.warn(`Failed to scan directory ${dir}:`, error);
+    });
+  } catch (error) {
+    console.warn('Git history unavailable; last-modified dates are left empty');
+  }
+  return dates;
+}
+
+// Create the shared context used to build page entries
+function createManifestContext(docsDir = DOCS_DIR, taxonomy = loadTaxonomy()) {
+  return {
+    docsDir,
+    resolveTag: createTagResolver(taxonomy),
+    devRoutes: collectDevRoutes(loadSidebar()),
+    lastModified: INCLUDE_LAST_MODIFIED ? readGitLastModified(docsDir) : {},
+    reviewIntervals: loadReviewIntervals(),
+    sectionTitles: {},
+    cache: openCache('tags'),
+    // v2: earlier versions cached uncommitted reviewers as reviewed on the day of the build
+    reviewCache: openCache('review-dates-v2'),
+  };
+}
+
+// Parse the frontmatter fields the manifest needs, reusing the cache for unchanged files
+function readPageFrontmatter(filePath, context) {
+  const raw = fs.readFileSync(filePath, 'utf-8');
+  const hash = hashContent(raw);
+  const key = path.relative(context.docsDir, filePath);
+  const cached = context.cache.get(key, hash);
+  if (cached) {
+    return cached;
+  }
+
+  let frontmatter = {};
+  try {
+    frontmatter = parseFrontmatter(raw);
+  } catch (error) {
+    console.warn(`Failed to parse frontmatter from ${filePath}: ${error.message}`);
+  }
+
+  const fields = {
+    title: typeof frontmatter.title === 'string' ? frontmatter.title.trim() : '',
+    tags: Array.isArray(frontmatter.tags) ? frontmatter.tags.map(String) : [],
+    contributors: normalizeContributors(frontmatter.contributors),
+  };
+  context.cache.set(key, hash, fields);
+  return fields;
+}
+
+// When the page was last reviewed and how often it should be. Review dates read
+// from git are cached with the content of the page they were computed for.
+function readPageReview(filePath, contributors, section, context) {
+  const key = path.relative(context.docsDir, filePath);
+  const hash = hashContent(fs.readFileSync(filePath, 'utf-8'));
+  let review = context.reviewCache.get(key, hash);
+  if (!review) {
+    const { lastReviewed, source } = getReviewInfo(filePath, contributors, section, context.reviewIntervals);
+    review = { lastReviewed, source };
+    // A missing date can change without the file changing (once its reviewers are committed)
+    if (lastReviewed) context.reviewCache.set(key, hash, review);
+  }
+  return { ...review, intervalMonths: getReviewInterval(section, context.reviewIntervals) };
+}
+
+// Build the manifest entry of a single MDX page
+function buildPageEntry(filePath, context) {
+  const relativePath = path.relative(context.docsDir, filePath);
+  const route = toRoute(relativePath);
+  const frontmatter = readPageFrontmatter(filePath, context);
+  const section = relativePath.split(path.sep).length > 1 ? relativePath.split(path.sep)[0] : '';
+
+  // Resolve aliases and record tags missing from the taxonomy
+  const tags = [];
+  const unknownTags = [];
+  frontmatter.tags.forEach((tag) => {
+    const canonical = context.resolveTag(tag);
+    if (!canonical) {
+      unknownTags.push({ file: filePath, tag });
+    } else if (!tags.includes(canonical)) {
+      tags.push(canonical);
+    }
+  });
+
+
+  return {
+    entry: {
+      route,
+      file: relativePath.split(path.sep).join('/'),
+      title: frontmatter.title || toTitleCase(path.basename(filePath, '.mdx')),
+      section: getSectionTitle(context.docsDir, section, context.sectionTitles),
+      tags,
+      contributors: frontmatter.contributors,
+      dev: context.devRoutes.has(route),
+      lastModified: context.lastModified[path.resolve(filePath)] || null,
+      review: readPageReview(filePath, frontmatter.contributors, section, context),
+    },
+    unknownTags,
+  };
+}
+
+// Recursively list MDX files below a directory
+function listMdxFiles(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listMdxFiles(fullPath, files);
+    } else if (entry.name.endsWith('.mdx')) {
+      files.push(fullPath);
     }
   }
-  
-  scanDirectory(docsDir);
-  return { allTags: Array.from(tags).sort(), pageTagsMap };
-}
-
-// Generate the tags
-function fetchTags() {
-  const { allTags, pageTagsMap } = getAllTagsFromMDX('./docs/pages');
-  
-  const tagsFetched = {
-    allTags,
-    pageTagsMap,
+  return files;
+}
+
+// Assemble the versioned manifest from a set of page entries
+function createManifest(pages) {
+  const sortedRoutes = Object.keys(pages).sort();
+  const allTags = new Set();
+  const sortedPages = {};
+  sortedRoutes.forEach((route) => {
+    sortedPages[route] = pages[route];
+    pages[route].tags.forEach(tag => allTags.add(tag));
+  });
+
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    allTags: Array.from(allTags).sort(),
+    pages: sortedPages,
   };
-  
-  // Write to a JSON file that can be imported by components
-  const outputPath = './utils/fetched-tags.json';
-  fs.writeFileSync(outputPath, JSON.stringify(tagsFetched, null, 2));
-  
-  console.log(`${allTags.length} tags fetched`);
-  
-  return tagsFetched;
+}
+
+// Scan docs/pages and build the manifest of every page
+function buildManifest(docsDir = DOCS_DIR, context = createManifestContext(docsDir)) {
+  const pages = {};
+  const unknownTags = [];
+
+  const files = listMdxFiles(docsDir);
+  files.forEach((filePath) => {
+    const result = buildPageEntry(filePath, context);
+    pages[result.entry.route] = result.entry;
+    unknownTags.push(...result.unknownTags);
+  });
+
+  context.cache.prune(files.map(filePath => path.relative(docsDir, filePath)));
+  context.cache.save();
+  context.reviewCache.prune(files.map(filePath => path.relative(docsDir, filePath)));
+  context.reviewCache.save();
+
+  return { manifest: createManifest(pages), unknownTags };
+}
+
+// Refresh the manifest entries of specific files (added, changed or deleted)
+// without rescanning the whole tree. Used by the watch mode, which builds the
+// `context` (see createManifestContext) once and passes it to every update:
+// building it runs git log over docs/pages and loads the sidebar and caches.
+function updatePages(filePaths, context) {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return fetchTags(context);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  if (manifest.schemaVersion !== MANIFEST_SCHEMA_VERSION) {
+    return fetchTags(context);
+  }
+
+  const pages = { ...manifest.pages };
+  const unknownTags = [];
+  filePaths.forEach((filePath) => {
+    const relativePath = path.relative(context.docsDir, filePath);
+    const route = toRoute(relativePath);
+    if (fs.existsSync(filePath)) {
+      const result = buildPageEntry(filePath, context);
+      pages[route] = result.entry;
+      unknownTags.push(...result.unknownTags);
+    } else {
+      delete pages[route];
+      context.cache.delete(relativePath);
+      context.reviewCache.delete(relativePath);
+    }
+  });
+
+  context.cache.save();
+  context.reviewCache.save();
+  assertKnownTags(unknownTags);
+
+  const nextManifest = createManifest(pages);
+  writeManifest(nextManifest);
+  console.log(`Updated ${filePaths.length} page(s) in the manifest`);
+  return nextManifest;
+}
+
+// Derive the legacy fetched-tags.json shape (tagged pages only) from the manifest
+function toLegacyTags(manifest) {
+  const pageTagsMap = {};
+  const pages = {};
+  Object.values(manifest.pages).forEach((page) => {
+    if (page.tags.length === 0) return;
+    pageTagsMap[page.route] = page.tags;
+    pages[page.route] = { title: page.title, section: page.section };
+  });
+  return { allTags: manifest.allTags, pageTagsMap, pages };
+}
+
+// Scan directory for MDX files and extract tags, resolved to their canonical names
+function getAllTagsFromMDX(docsDir, taxonomy = loadTaxonomy()) {
+  const { manifest, unknownTags } = buildManifest(docsDir, createManifestContext(docsDir, taxonomy));
+  return { ...toLegacyTags(manifest), unknownTags };
+}
+
+// Fail the build when pages use tags that are not in the taxonomy
+function assertKnownTags(unknownTags) {
+  if (unknownTags.length === 0) return;
+  console.error(`Unknown tags found (add them to ${path.relative(process.cwd(), TAXONOMY_PATH)} or use an existing name/alias):`);
+  unknownTags.forEach(({ file, tag }) => console.error(`  ${file}: "${tag}"`));
+  throw new Error(`${unknownTags.length} unknown tag(s) found`);
+}
+
+// Write the manifest and its legacy tag view to disk
+function writeManifest(manifest) {
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.writeFileSync(LEGACY_TAGS_PATH, JSON.stringify(toLegacyTags(manifest), null, 2));
+}
+
+// Generate the manifest and tags
+function fetchTags(context = createManifestContext(DOCS_DIR)) {
+  const { manifest, unknownTags } = buildManifest(DOCS_DIR, context);
+  assertKnownTags(unknownTags);
+  writeManifest(manifest);
+
+  console.log(`${Object.keys(manifest.pages).length} pages and ${manifest.allTags.length} tags fetched`);
+
+  return manifest;
 }
 
 // Run if called directly
 if (require.main === module) {
-  fetchTags();
+  try {
+    fetchTags();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 }
 
-module.exports = { fetchTags, getAllTagsFromMDX, parseFrontmatter };
\ No newline at end of file
+module.exports = {
+  MANIFEST_SCHEMA_VERSION,
+  fetchTags,
+  buildManifest,
+  buildPageEntry,
+  updatePages,
+  createManifest,
+  createManifestContext,
+  getAllTagsFromMDX,
+  parseFrontmatter: readFrontmatter,
+  loadTaxonomy,
+  createTagResolver,
+  toRoute,
+  getSectionTitle,
+};
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vocs'
+import { filterSidebarForBranch } from '../../../sidebar'
+
+// Filters its sidebar like vocs.config.ts does
+const config = {
+  sidebar: [
+    { text: 'Published', link: '/published' },
+    { text: 'Draft', link: '/draft', dev: true },
+    {
+      text: 'Draft group',
+      dev: true,
+      items: [{ text: 'Nested', link: '/draft-group/nested' }],
+    },
+  ],
+}
+
+config.sidebar = filterSidebarForBranch(config.sidebar)
+
+export default defineConfig(config)
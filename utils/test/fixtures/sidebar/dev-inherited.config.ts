@@ -0,0 +1,28 @@
+import { defineConfig } from 'vocs'
+
+// A `dev: true` group makes every page below it in progress, however deep
+const config = {
+  sidebar: [
+    { text: 'Published', link: '/published' },
+    {
+      text: 'Opsec',
+      dev: true,
+      items: [
+        { text: 'Overview', link: '/opsec/overview' },
+        {
+          text: 'Travel',
+          items: [{ text: 'Guide', link: '/opsec/travel/guide' }],
+        },
+      ],
+    },
+    {
+      text: 'Monitoring',
+      items: [
+        { text: 'Overview', link: '/monitoring/overview' },
+        { text: 'Thresholds', link: '/monitoring/thresholds', dev: true },
+      ],
+    },
+  ],
+}
+
+export default defineConfig(config)
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vocs'
+
+// Links with a scheme are not pages; internal links are normalized
+const config = {
+  sidebar: [
+    { text: 'GitHub', link: 'https://github.com/security-alliance/frameworks' },
+    { text: 'Mail', link: 'mailto:frameworks@securityalliance.org' },
+    { text: 'Relative', link: 'intro/introduction' },
+    { text: 'Trailing slash', link: '/opsec/travel/' },
+    { text: 'Anchor', link: '/wallet-security/overview#setup' },
+  ],
+}
+
+export default defineConfig(config)
@@ -0,0 +1,27 @@
+import { defineConfig } from 'vocs'
+
+// A page linked from both a dev group and a published group is published;
+// a page only ever linked from dev groups stays in progress
+const config = {
+  sidebar: [
+    {
+      text: 'Drafts',
+      dev: true,
+      items: [
+        { text: 'Shared', link: '/shared/page' },
+        { text: 'Draft only', link: '/drafts/page' },
+      ],
+    },
+    {
+      text: 'Published',
+      items: [{ text: 'Shared again', link: '/shared/page/' }],
+    },
+    {
+      text: 'More drafts',
+      dev: true,
+      items: [{ text: 'Draft only again', link: '/drafts/page' }],
+    },
+  ],
+}
+
+export default defineConfig(config)
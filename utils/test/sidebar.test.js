@@ -0,0 +1,132 @@
+/**
+ * Tests for utils/sidebar.js, run against the fixture vocs configs in
+ * fixtures/sidebar.
+ *
+ * Usage: pnpm test   (or: node --test utils/test/)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  collectSidebarRoutes,
+  filterSidebarForBranch,
+  getAllowedRoutes,
+  isProductionBranch,
+  loadVocsConfig,
+  resolveBranch,
+} = require('../sidebar');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sidebar');
+const BRANCH_ENV_VARS = ['CF_PAGES_BRANCH', 'VERCEL_GIT_COMMIT_REF'];
+
+function loadFixture(name) {
+  return loadVocsConfig(path.join(FIXTURES_DIR, `${name}.config.ts`)).sidebar;
+}
+
+// Dev status of every route, as a plain object for deepEqual.
+function devStatus(sidebar) {
+  return Object.fromEntries(Array.from(collectSidebarRoutes(sidebar), ([route, { dev }]) => [route, dev]));
+}
+
+// Runs `fn` with the deployment branch variables set to `values`, then restores them.
+function withBranchEnv(values, fn) {
+  const previous = Object.fromEntries(BRANCH_ENV_VARS.map((name) => [name, process.env[name]]));
+  BRANCH_ENV_VARS.forEach((name) => {
+    if (values[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = values[name];
+    }
+  });
+  try {
+    return fn();
+  } finally {
+    BRANCH_ENV_VARS.forEach((name) => {
+      if (previous[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[name];
+      }
+    });
+  }
+}
+
+test('dev: true is inherited by every page below a group', () => {
+  assert.deepEqual(devStatus(loadFixture('dev-inherited')), {
+    '/published': false,
+    '/opsec/overview': true,
+    '/opsec/travel/guide': true,
+    '/monitoring/overview': false,
+    '/monitoring/thresholds': true,
+  });
+});
+
+test('a page linked twice is in progress only when every link to it is', () => {
+  assert.deepEqual(devStatus(loadFixture('linked-twice')), {
+    '/shared/page': false,
+    '/drafts/page': true,
+  });
+});
+
+test('external links are skipped and internal links normalized', () => {
+  assert.deepEqual(Array.from(collectSidebarRoutes(loadFixture('external-links')).keys()), [
+    '/intro/introduction',
+    '/opsec/travel',
+    '/wallet-security/overview',
+  ]);
+});
+
+test('production branches leave out pages in progress', () => {
+  const sidebar = loadFixture('dev-inherited');
+  assert.deepEqual(Array.from(getAllowedRoutes({ sidebar, branch: 'main' })), [
+    '/published',
+    '/monitoring/overview',
+  ]);
+  assert.equal(getAllowedRoutes({ sidebar, branch: 'develop' }).size, 5);
+  assert.equal(getAllowedRoutes({ sidebar, branch: null }).size, 5);
+});
+
+test('allowed routes can include the folders above each page', () => {
+  const sidebar = loadFixture('dev-inherited');
+  const routes = getAllowedRoutes({ sidebar, branch: 'main', includeAncestors: true });
+  assert.deepEqual(Array.from(routes), ['/published', '/monitoring', '/monitoring/overview']);
+});
+
+test('getAllowedRoutes returns null without a sidebar', () => {
+  assert.equal(getAllowedRoutes({ sidebar: null, branch: 'main' }), null);
+});
+
+test('only main, from CF_PAGES_BRANCH or VERCEL_GIT_COMMIT_REF, is production', () => {
+  withBranchEnv({ CF_PAGES_BRANCH: 'main' }, () => {
+    assert.equal(resolveBranch(), 'main');
+    assert.equal(isProductionBranch(), true);
+  });
+  withBranchEnv({ VERCEL_GIT_COMMIT_REF: 'main' }, () => assert.equal(isProductionBranch(), true));
+  withBranchEnv({ CF_PAGES_BRANCH: 'develop' }, () => assert.equal(isProductionBranch(), false));
+  withBranchEnv({}, () => {
+    assert.equal(resolveBranch(), null);
+    assert.equal(isProductionBranch(), false);
+  });
+  assert.equal(isProductionBranch('production'), false);
+});
+
+test('loadVocsConfig returns the complete sidebar, whatever the branch', () => {
+  ['main', 'develop'].forEach((branch) => {
+    withBranchEnv({ CF_PAGES_BRANCH: branch }, () => {
+      const sidebar = loadFixture('branch-filter');
+      assert.deepEqual(devStatus(sidebar), {
+        '/published': false,
+        '/draft': true,
+        '/draft-group/nested': true,
+      });
+    });
+  });
+});
+
+test('filterSidebarForBranch hides pages in progress on production branches only', () => {
+  const sidebar = loadFixture('branch-filter');
+  const routes = (branch) => Array.from(collectSidebarRoutes(filterSidebarForBranch(sidebar, branch)).keys());
+  assert.deepEqual(routes('main'), ['/published']);
+  assert.deepEqual(routes('develop'), ['/published', '/draft', '/draft-group/nested']);
+});
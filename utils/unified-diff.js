@@ -0,0 +1,91 @@
+/**
+ * Minimal line diff for the build scripts, printed in the unified format of
+ * `diff -u` / `git diff` so reviewers can read (or `git apply`) planned changes.
+ */
+
+// Splits text into lines, keeping track of a missing final newline.
+function toLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Longest-common-subsequence edit script: `{ type: ' ' | '-' | '+', line }` per line.
+function diffLines(before, after) {
+  const a = toLines(before);
+  const b = toLines(after);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      ops.push({ type: '+', line: b[j++] });
+    } else {
+      ops.push({ type: '-', line: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Render the difference between two versions of a file as a unified diff.
+ * @param {string} filePath - Path shown in the headers (relative to the repo root)
+ * @param {string|null} before - Current content, or null when the file is created
+ * @param {string|null} after - Planned content, or null when the file is deleted
+ * @param {number} [context] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when nothing changes
+ */
+function createUnifiedDiff(filePath, before, after, context = 3) {
+  const ops = diffLines(before, after);
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter((index) => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  changed.forEach((index) => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [
+    `--- ${before === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${filePath}`}`,
+  ];
+  hunks.forEach(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length, end + context + 1);
+    // Line numbers where the hunk starts in each version
+    let oldLine = 1;
+    let newLine = 1;
+    ops.slice(0, from).forEach((op) => {
+      if (op.type !== '+') oldLine++;
+      if (op.type !== '-') newLine++;
+    });
+    const lines = ops.slice(from, to);
+    const oldCount = lines.filter((op) => op.type !== '+').length;
+    const newCount = lines.filter((op) => op.type !== '-').length;
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    lines.forEach((op) => output.push(`${op.type}${op.line}`));
+  });
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+};